@@ -0,0 +1,70 @@
+// scripts/ai_bundle.mjs
+// Markdown bundles: a pack rendered as one readable document to paste into a
+// chat as context. A table of contents, then every item under a delimiter line
+// (path, size, sha, state) with its text in a fenced block. Binaries and
+// withheld files are listed with their links instead of base64.
+
+const FENCE_LANG = {
+  js: "javascript", mjs: "javascript", cjs: "javascript", jsx: "jsx", ts: "typescript", tsx: "tsx",
+  json: "json", webmanifest: "json", schema: "json", yml: "yaml", yaml: "yaml", md: "markdown", mdx: "mdx",
+  html: "html", htm: "html", css: "css", svg: "xml", xml: "xml", sh: "bash", py: "python", toml: "toml"
+};
+export function fenceLang(p){
+  const name = p.split("/").pop().toLowerCase();
+  return FENCE_LANG[name.includes(".") ? name.split(".").pop() : ""] || "text";
+}
+
+const fmtBytes = n => n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+
+// what an item holds, in words: "full", "preview (first 64.0 KB)", "chunk 2/5 (bytes a-b)", ...
+function stateOf(it){
+  if (it.chunk) return `chunk ${it.chunk.index + 1}/${it.chunk.count} (bytes ${it.chunk.byte_start}-${it.chunk.byte_end})`;
+  if (it.inline_state === "preview") return `preview (first ${fmtBytes(it.preview_text_bytes)})`;
+  if (it.inline_state === "full") return it.encoding === "base64" ? "binary, not inlined here" : "full";
+  return "metadata only";
+}
+
+// a fence longer than any backtick run in the content
+function fenced(text, lang){
+  const longest = Math.max(0, ...(text.match(/`{3,}/g) || []).map(s => s.length));
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}${lang}\n${text}${text.endsWith("\n") ? "" : "\n"}${fence}`;
+}
+
+function outline(headings, depth = 0){
+  return headings.flatMap(h => [`${"  ".repeat(depth)}- ${h.text} (line ${h.line})`, ...outline(h.children, depth + 1)]);
+}
+
+// pack: { schema, repo, commit, updated_utc, count, items }; title: heading text
+export function renderBundle(pack, title, estimatedTokens){
+  const items = pack.items;
+  const out = [
+    `# ${title}`,
+    "",
+    `Repo \`${pack.repo || "unknown"}\` • commit \`${String(pack.commit).slice(0, 7)}\` • ${pack.updated_utc} • ${items.length} item(s)` +
+      (estimatedTokens === undefined ? "" : ` • ~${estimatedTokens} tokens`),
+    "",
+    "Each file starts with a `=====` line giving its path, size, git blob sha and what is included.",
+    "",
+    "## Contents",
+    "",
+    ...items.map((it, i) => `${i + 1}. \`${it.path}\` — ${fmtBytes(it.size)}, ${stateOf(it)}`),
+    ""
+  ];
+  items.forEach((it, i) => {
+    out.push(`===== ${i + 1}/${items.length} ${it.path} | ${fmtBytes(it.size)} | sha ${it.sha.slice(0, 12)} | ${stateOf(it)} =====`, "");
+    if (it.redacted_reason) out.push(`> ${it.redacted_reason}`, "");
+    if (typeof it.content === "string" && it.encoding === "utf8") {
+      out.push(fenced(it.content, fenceLang(it.path)), "");
+      if (it.inline_state === "preview") out.push(`_Preview only; full file: ${it.raw_url}_`, "");
+      return;
+    }
+    const kind = it.encoding === "base64" || (it.inline_state === "none" && !/^text\/|json|javascript|xml/.test(it.media_type))
+      ? `Binary (${it.media_type})` : `Not inlined (${it.media_type})`;
+    out.push(`${kind}: ${it.raw_url}`, "");
+    const s = it.summary;
+    if (s?.outline?.length) out.push("Outline:", "", ...outline(s.outline), "");
+    else if (s?.schema) out.push("Inferred schema:", "", fenced(JSON.stringify(s.schema, null, 2), "json"), "");
+  });
+  return out.join("\n");
+}
@@ -0,0 +1,295 @@
+// scripts/ai_config.mjs
+// Loader for ai-packs.config.json: lists, targeted packs, the everything
+// shards, the combined "all" pack, the changes diff, which files get
+// structural summaries, what the search index covers, how likely secrets
+// are handled, which sources the reference graph parses, which web manifest /
+// assetlinks files are validated, which files get git history and which
+// compressed variants are written are declared there.
+// Globs support *, **, ? and {a,b} and match case-insensitively. Unknown keys
+// and include patterns that match no tracked file are hard errors (set
+// allow_empty on an entry for optional folders). The builder's own outputs
+// (GENERATED_OUTPUTS under the output dir) plus the root "generated" globs are
+// excluded from every section, so no section re-ingests a previous build.
+
+import fs from "node:fs";
+
+const CONFIG_KEYS = {
+  root:       ["$comment", "generated", "inline", "lists", "packs", "everything", "all", "changes", "summaries", "search", "secrets",
+               "graph", "site", "history", "compress"],
+  inline:     ["max_text_bytes", "max_bin_bytes", "preview_text_bytes", "always_full", "large_text", "chunk_text_bytes"],
+  list:       ["$comment", "name", "title", "include", "exclude", "formats", "allow_empty"],
+  pack:       ["$comment", "name", "title", "include", "exclude", "inline", "formats", "allow_empty", "with_deps", "storage"],
+  everything: ["$comment", "exclude", "inline", "mode", "shard_target_bytes", "shard_token_budget", "shard_max_items",
+               "priority", "last", "formats", "storage"],
+  all:        ["$comment", "packs", "formats", "storage"],
+  changes:    ["$comment", "exclude"],
+  summaries:  ["$comment", "exclude"],
+  search:     ["$comment", "exclude", "max_file_bytes"],
+  secrets:    ["$comment", "action", "strict", "entropy", "deny", "allow"],
+  graph:      ["$comment", "exclude", "external"],
+  site:       ["$comment", "manifests", "assetlinks", "strict", "allow_missing"],
+  history:    ["$comment", "enabled", "exclude", "recent"],
+  compress:   ["$comment", "formats", "min_bytes"]
+};
+const CONFIG_FORMATS = {
+  list: ["json", "min.json", "html"],
+  pack: ["json", "min.json", "txt", "md"],
+  all:  ["json", "min.json", "txt", "html"]
+};
+const STORAGE = ["inline", "reference"];
+const COMPRESS_FORMATS = ["gzip", "br"];
+
+// What a build writes into its output dir, relative to it
+export const GENERATED_OUTPUTS = ["ai-*", "schemas/**", "blobs/**"];
+export const generatedGlobs = outRel => GENERATED_OUTPUTS.map(g => outRel === "." ? g : `${outRel}/${g}`);
+
+export const INLINE_DEFAULTS = {
+  max_text_bytes:     600 * 1024,   // inline full text <= 600 KB
+  max_bin_bytes:      200 * 1024,   // inline full binary <= 200 KB (base64)
+  preview_text_bytes: 64  * 1024,   // if too large for full, include this much preview
+  always_full:        [],           // text paths that are always inlined in full
+  large_text:         "preview",    // text over max_text_bytes: "preview" or "chunks" (whole file, split)
+  chunk_text_bytes:   256 * 1024    // upper bound per chunk when large_text is "chunks"
+};
+
+// Built-in secret handling when the config has no "secrets" section.
+export const SECRETS_DEFAULTS = {
+  action:  "redact",   // "redact": mask matches in place; "none": publish metadata only
+  strict:  false,      // fail the build when anything is found
+  entropy: true,       // also flag long high-entropy strings
+  deny:    [],         // paths never inlined, searched or summarized
+  allow:   []          // paths not scanned (fixtures, known-safe samples)
+};
+
+export function globToRegExp(glob){
+  let rx = "", inBrace = false;
+  for (let i = 0; i < glob.length; i++){
+    const c = glob[i];
+    if (c === "*" && glob[i+1] === "*"){
+      // "**/" spans zero or more directories; a trailing "**" spans the rest
+      if (glob[i+2] === "/"){ rx += "(?:.*/)?"; i += 2; }
+      else { rx += ".*"; i += 1; }
+    }
+    else if (c === "*") rx += "[^/]*";
+    else if (c === "?") rx += "[^/]";
+    else if (c === "{" && !inBrace){ rx += "(?:"; inBrace = true; }
+    else if (c === "}" && inBrace){ rx += ")"; inBrace = false; }
+    else if (c === "," && inBrace) rx += "|";
+    else rx += c.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+  }
+  return new RegExp(`^${rx}$`, "i");
+}
+
+// outRel: the repo-relative output dir whose GENERATED_OUTPUTS are excluded
+// (none when omitted)
+export function loadPackConfig(file, allFiles, outRel){
+  const errors = [];
+  const err = (where, msg) => errors.push(`${where}: ${msg}`);
+  const isObj = v => v && typeof v === "object" && !Array.isArray(v);
+
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { return { errors: [`${file}: ${e.code === "ENOENT" ? "not found" : e.message}`] }; }
+
+  function keys(obj, allowed, where){
+    if (!isObj(obj)) { err(where, "expected an object"); return false; }
+    for (const k of Object.keys(obj)) {
+      if (!allowed.includes(k)) err(where, `unknown key "${k}" (allowed: ${allowed.join(", ")})`);
+    }
+    return true;
+  }
+  function globs(v, where){
+    if (v === undefined) return [];
+    if (!Array.isArray(v) || v.some(s => typeof s !== "string" || !s)) { err(where, "expected an array of glob strings"); return []; }
+    return v;
+  }
+  function count(v, where, def){
+    if (v === undefined) return def;
+    if (!Number.isInteger(v) || v < 0) { err(where, "expected a non-negative integer"); return def; }
+    return v;
+  }
+  function formats(v, allowed, where){
+    if (v === undefined) return allowed.slice();
+    if (!Array.isArray(v) || !v.length || v.some(s => !allowed.includes(s))) {
+      err(where, `expected a non-empty array of ${allowed.map(s => `"${s}"`).join(", ")}`);
+      return allowed.slice();
+    }
+    return [...new Set(v)];
+  }
+  function bool(v, where, def){
+    if (v === undefined) return def;
+    if (typeof v !== "boolean") { err(where, "expected a boolean"); return def; }
+    return v;
+  }
+  function oneOf(v, allowed, where, def){
+    if (v === undefined) return def;
+    if (!allowed.includes(v)) { err(where, `expected one of ${allowed.map(s => `"${s}"`).join(", ")}`); return def; }
+    return v;
+  }
+  function inline(v, where, base){
+    if (v === undefined) return base;
+    if (!keys(v, CONFIG_KEYS.inline, where)) return base;
+    const out = {
+      max_text_bytes:     count(v.max_text_bytes,     `${where}.max_text_bytes`,     base.max_text_bytes),
+      max_bin_bytes:      count(v.max_bin_bytes,      `${where}.max_bin_bytes`,      base.max_bin_bytes),
+      preview_text_bytes: count(v.preview_text_bytes, `${where}.preview_text_bytes`, base.preview_text_bytes),
+      always_full: v.always_full === undefined ? base.always_full
+        : globs(v.always_full, `${where}.always_full`).map(globToRegExp),
+      large_text:         oneOf(v.large_text, ["preview", "chunks"], `${where}.large_text`, base.large_text),
+      chunk_text_bytes:   count(v.chunk_text_bytes,   `${where}.chunk_text_bytes`,   base.chunk_text_bytes)
+    };
+    if (out.chunk_text_bytes < 4) err(`${where}.chunk_text_bytes`, "must be at least 4 (one UTF-8 character)");
+    return out;
+  }
+
+  if (!keys(raw, CONFIG_KEYS.root, file)) return { errors };
+  // shared by every section's exclude
+  const generated = [...(outRel ? generatedGlobs(outRel) : []), ...globs(raw.generated, "generated")].map(globToRegExp);
+  const excludes = (v, where) => [...generated, ...globs(v, where).map(globToRegExp)];
+  const defaults = inline(raw.inline, "inline", INLINE_DEFAULTS);
+
+  const seen = new Set();
+  function entries(list, kind, where){
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) { err(where, "expected an array"); return []; }
+    return list.map((e, i) => {
+      const at = `${where}[${i}]`;
+      if (!keys(e, CONFIG_KEYS[kind], at)) return null;
+      if (typeof e.name !== "string" || !/^[a-z0-9][a-z0-9._-]*$/.test(e.name)) {
+        err(`${at}.name`, "expected a lowercase file-safe name");
+      } else if (seen.has(e.name)) {
+        err(`${at}.name`, `duplicate output name "${e.name}"`);
+      } else seen.add(e.name);
+      if (e.title !== undefined && typeof e.title !== "string") err(`${at}.title`, "expected a string");
+      if (e.allow_empty !== undefined && typeof e.allow_empty !== "boolean") err(`${at}.allow_empty`, "expected a boolean");
+
+      const include = globs(e.include, `${at}.include`);
+      if (!include.length) err(`${at}.include`, "at least one pattern is required");
+      const includeRx = include.map(globToRegExp);
+      if (!e.allow_empty) {
+        include.forEach((g, j) => {
+          if (!allFiles.some(f => includeRx[j].test(f.path))) err(`${at}.include[${j}]`, `"${g}" matches no tracked files`);
+        });
+      }
+      return {
+        name: e.name,
+        title: e.title || e.name,
+        include: includeRx,
+        exclude: excludes(e.exclude, `${at}.exclude`),
+        formats: formats(e.formats, CONFIG_FORMATS[kind], `${at}.formats`),
+        inline: kind === "pack" ? inline(e.inline, `${at}.inline`, defaults) : undefined,
+        // packs: also take in what the matched files import/load (see ai_graph.mjs)
+        with_deps: kind === "pack" ? bool(e.with_deps, `${at}.with_deps`, false) : undefined,
+        // "reference": item content goes to <out>/blobs/<sha256> instead of the pack
+        storage: kind === "pack" ? oneOf(e.storage, STORAGE, `${at}.storage`, "inline") : undefined
+      };
+    }).filter(Boolean);
+  }
+
+  const lists = entries(raw.lists, "list", "lists");
+  const packs = entries(raw.packs, "pack", "packs");
+
+  const ev = raw.everything === undefined ? {} : raw.everything;
+  keys(ev, CONFIG_KEYS.everything, "everything");
+  // mode "tokens": shards filled up to shard_token_budget, files ordered by
+  // priority (pack names, first match wins), then the rest, then `last` globs
+  const priority = ev.priority === undefined ? [] : ev.priority;
+  if (!Array.isArray(priority)) err("everything.priority", "expected an array of pack names");
+  else priority.forEach((n, i) => {
+    if (!packs.some(p => p.name === n)) err(`everything.priority[${i}]`, `unknown pack "${n}"`);
+  });
+  const everything = {
+    exclude: excludes(ev.exclude, "everything.exclude"),
+    inline: inline(ev.inline, "everything.inline", defaults),
+    mode: oneOf(ev.mode, ["bytes", "tokens"], "everything.mode", "bytes"),
+    shard_target_bytes: count(ev.shard_target_bytes, "everything.shard_target_bytes", 4 * 1024 * 1024),
+    shard_token_budget: count(ev.shard_token_budget, "everything.shard_token_budget", 100000),
+    shard_max_items:    count(ev.shard_max_items,    "everything.shard_max_items",    500),
+    priority: Array.isArray(priority) ? priority.map(n => packs.find(p => p.name === n)).filter(Boolean) : [],
+    last: globs(ev.last, "everything.last").map(globToRegExp),
+    formats: formats(ev.formats, CONFIG_FORMATS.pack, "everything.formats"),
+    storage: oneOf(ev.storage, STORAGE, "everything.storage", "inline")
+  };
+
+  const al = raw.all === undefined ? {} : raw.all;
+  keys(al, CONFIG_KEYS.all, "all");
+  const allPacks = al.packs === undefined ? packs.map(p => p.name) : al.packs;
+  if (!Array.isArray(allPacks)) err("all.packs", "expected an array of pack names");
+  else allPacks.forEach((n, i) => {
+    if (!packs.some(p => p.name === n)) err(`all.packs[${i}]`, `unknown pack "${n}"`);
+  });
+  const all = {
+    packs: Array.isArray(allPacks) ? allPacks : [],
+    formats: formats(al.formats, CONFIG_FORMATS.all, "all.formats"),
+    storage: oneOf(al.storage, STORAGE, "all.storage", "inline")
+  };
+
+  const ch = raw.changes === undefined ? {} : raw.changes;
+  keys(ch, CONFIG_KEYS.changes, "changes");
+  const changes = { exclude: excludes(ch.exclude, "changes.exclude") };
+
+  const sm = raw.summaries === undefined ? {} : raw.summaries;
+  keys(sm, CONFIG_KEYS.summaries, "summaries");
+  const summaries = { exclude: excludes(sm.exclude, "summaries.exclude") };
+
+  const se = raw.search === undefined ? {} : raw.search;
+  keys(se, CONFIG_KEYS.search, "search");
+  const search = {
+    exclude: excludes(se.exclude, "search.exclude"),
+    max_file_bytes: count(se.max_file_bytes, "search.max_file_bytes", 1024 * 1024)
+  };
+
+  const sc = raw.secrets === undefined ? {} : raw.secrets;
+  keys(sc, CONFIG_KEYS.secrets, "secrets");
+  const secrets = {
+    action:  oneOf(sc.action, ["redact", "none"], "secrets.action", SECRETS_DEFAULTS.action),
+    strict:  bool(sc.strict, "secrets.strict", SECRETS_DEFAULTS.strict),
+    entropy: bool(sc.entropy, "secrets.entropy", SECRETS_DEFAULTS.entropy),
+    deny:    globs(sc.deny, "secrets.deny").map(g => ({ glob: g, rx: globToRegExp(g) })),
+    allow:   globs(sc.allow, "secrets.allow").map(globToRegExp)
+  };
+
+  // references into `external` (paths served by another site) are not reported missing
+  const gr = raw.graph === undefined ? {} : raw.graph;
+  keys(gr, CONFIG_KEYS.graph, "graph");
+  const graph = {
+    exclude:  excludes(gr.exclude, "graph.exclude"),
+    external: globs(gr.external, "graph.external").map(globToRegExp)
+  };
+
+  // web app manifests and Digital Asset Links files to validate; strict fails the build on errors.
+  // Icons under graph.external are served by another site, and icons matching
+  // allow_missing are known to be missing: both are warned about, not failed.
+  const si = raw.site === undefined ? {} : raw.site;
+  keys(si, CONFIG_KEYS.site, "site");
+  const site = {
+    manifests:  globs(si.manifests ?? ["**/manifest.json", "**/*.webmanifest"], "site.manifests").map(globToRegExp),
+    assetlinks: globs(si.assetlinks ?? ["**/.well-known/assetlinks.json"], "site.assetlinks").map(globToRegExp),
+    strict:     bool(si.strict, "site.strict", true),
+    allowMissing: globs(si.allow_missing, "site.allow_missing").map(globToRegExp),
+    external:   graph.external
+  };
+
+  // per-file git history in the index (one git log pass) and the ai-recent page
+  const hi = raw.history === undefined ? {} : raw.history;
+  keys(hi, CONFIG_KEYS.history, "history");
+  const history = {
+    enabled: bool(hi.enabled, "history.enabled", true),
+    exclude: excludes(hi.exclude, "history.exclude"),
+    recent:  count(hi.recent, "history.recent", 50)
+  };
+
+  // gzip / brotli copies (<file>.gz, <file>.br) of every output of at least min_bytes
+  const co = raw.compress === undefined ? {} : raw.compress;
+  keys(co, CONFIG_KEYS.compress, "compress");
+  const compress = {
+    formats:   co.formats === undefined || (Array.isArray(co.formats) && !co.formats.length) ? []
+      : formats(co.formats, COMPRESS_FORMATS, "compress.formats"),
+    min_bytes: count(co.min_bytes, "compress.min_bytes", 1024)
+  };
+
+  return { errors, lists, packs, everything, all, changes, summaries, search, secrets, graph, site, history, compress };
+}
+
+export const matches = (f, entry) =>
+  entry.include.some(rx => rx.test(f.path)) && !entry.exclude.some(rx => rx.test(f.path));
@@ -0,0 +1,215 @@
+// scripts/ai_graph.mjs
+// References between repository files: JS/MJS imports, HTML script/link/img/a
+// URLs, web app manifest icons and start_url, Markdown links and images.
+// Extraction is regex based (no parsers), resolution maps each reference to a
+// repo path the way GitHub Pages serves this repo: "/x" is the repo root.
+// In JS, import/require text that starts inside a comment or a string,
+// template or regex literal is skipped (jsLiterals), so code that only quotes
+// an import, like a test fixture, adds no edge.
+
+import path from "node:path";
+import { esc, lineAt } from "./ai_html.mjs";
+
+const posix = path.posix;
+
+// kinds that are needed to use a file (followed by a pack's with_deps);
+// the others only navigate somewhere else
+export const DEPENDENCY_KINDS = new Set(["import", "script", "link", "image", "markdown-image", "manifest-icon"]);
+
+const JS_EXT = /\.(?:m?js|cjs|jsx|ts|tsx)$/i;
+const HTML_EXT = /\.html?$/i;
+const MD_EXT = /\.mdx?$/i;
+const isManifest = p => /(?:^|\/)manifest\.json$|\.webmanifest$/i.test(p);
+export const graphSource = p => JS_EXT.test(p) || HTML_EXT.test(p) || MD_EXT.test(p) || isManifest(p);
+
+const JS_REF = /\b(?:import|export)\s+(?:[\w$*{},\s]*?\s*from\s*)?["']([^"'\n]+)["']|\bimport\s*\(\s*["']([^"'\n]+)["']\s*\)|\brequire\s*\(\s*["']([^"'\n]+)["']\s*\)/g;
+const HTML_TAG = /<(script|link|img|source|a)\b[^>]*>/gi;
+const HTML_ATTR = /\s(src|href|srcset)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+const HTML_KIND = { script: "script", link: "link", img: "image", source: "image", a: "anchor" };
+const MD_REF = /(!?)\[[^\]\n]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"\n]*")?\s*\)/g;
+
+// -> [{ ref, kind, line }] in file order
+export function extractRefs(p, text){
+  const refs = [];
+  if (JS_EXT.test(p)) {
+    const spans = jsLiterals(text);
+    let k = 0;
+    for (const m of text.matchAll(JS_REF)){
+      while (k < spans.length && spans[k][1] <= m.index) k++;
+      if (k < spans.length && spans[k][0] <= m.index) continue;
+      refs.push({ ref: m[1] || m[2] || m[3], kind: "import", line: lineAt(text, m.index) });
+    }
+  } else if (HTML_EXT.test(p)) {
+    for (const tag of text.matchAll(HTML_TAG)){
+      for (const a of tag[0].matchAll(HTML_ATTR)){
+        const value = a[2] ?? a[3] ?? a[4];
+        // srcset: "a.png 1x, b.png 2x"
+        const urls = a[1].toLowerCase() === "srcset" ? value.split(",").map(s => s.trim().split(/\s+/)[0]) : [value];
+        for (const ref of urls.filter(Boolean)) refs.push({ ref, kind: HTML_KIND[tag[1].toLowerCase()], line: lineAt(text, tag.index) });
+      }
+    }
+  } else if (MD_EXT.test(p)) {
+    let fence = false, offset = 0;
+    for (const line of text.split("\n")){
+      if (/^\s*(```|~~~)/.test(line)) fence = !fence;
+      else if (!fence) {
+        for (const m of line.matchAll(MD_REF)) refs.push({ ref: m[2], kind: m[1] ? "markdown-image" : "markdown-link", line: lineAt(text, offset) });
+      }
+      offset += line.length + 1;
+    }
+  } else if (isManifest(p)) {
+    let doc;
+    try { doc = JSON.parse(text); } catch { return refs; }
+    const at = v => lineAt(text, Math.max(0, text.indexOf(JSON.stringify(v))));
+    for (const key of ["icons", "screenshots"]){
+      for (const icon of Array.isArray(doc?.[key]) ? doc[key] : []){
+        if (typeof icon?.src === "string") refs.push({ ref: icon.src, kind: "manifest-icon", line: at(icon.src) });
+      }
+    }
+    if (typeof doc?.start_url === "string") refs.push({ ref: doc.start_url, kind: "start-url", line: at(doc.start_url) });
+  }
+  return refs;
+}
+
+// -> sorted [start, end) spans of the comments and string, template and regex
+// literals in JS source. A "/" starts a regex unless it follows an operand
+// (a name, number, ")" or "]"); template ${} expressions are scanned as code.
+const REGEX_AFTER_WORD = new Set(["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"]);
+function jsLiterals(text){
+  const spans = [], braces = [0];
+  let i = 0, operand = false;
+  const skipTo = (end, stopAtNewline) => {
+    while (i < text.length && text[i] !== end){
+      if (stopAtNewline && text[i] === "\n") return;
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    i++;
+  };
+  const template = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== "`"){
+      if (text[i] === "$" && text[i + 1] === "{"){ spans.push([start, i + 2]); braces.push(0); i += 2; return; }
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    spans.push([start, ++i]);
+    operand = true;
+  };
+  while (i < text.length){
+    const c = text[i], start = i;
+    if (c === "/" && text[i + 1] === "/"){ i = text.indexOf("\n", i); if (i < 0) i = text.length; spans.push([start, i]); }
+    else if (c === "/" && text[i + 1] === "*"){ i = text.indexOf("*/", i + 2); i = i < 0 ? text.length : i + 2; spans.push([start, i]); }
+    else if (c === "'" || c === '"'){ i++; skipTo(c, true); spans.push([start, i]); operand = true; }
+    else if (c === "`") template();
+    else if (c === "}" && braces.length > 1 && braces[braces.length - 1] === 0){ braces.pop(); template(); }
+    else if (c === "/" && !operand){
+      i++;
+      for (let cls = false; i < text.length && text[i] !== "\n" && (cls || text[i] !== "/"); i++){
+        if (text[i] === "\\") i++;
+        else if (text[i] === "[") cls = true;
+        else if (text[i] === "]") cls = false;
+      }
+      i++;
+      spans.push([start, i]);
+      operand = true;
+    }
+    else if (/[\w$]/.test(c)){
+      while (i < text.length && /[\w$]/.test(text[i])) i++;
+      operand = !REGEX_AFTER_WORD.has(text.slice(start, i));
+    }
+    else {
+      if (c === "{") braces[braces.length - 1]++;
+      else if (c === "}") braces[braces.length - 1]--;
+      if (!/\s/.test(c)) operand = c === ")" || c === "]";
+      i++;
+    }
+  }
+  return spans;
+}
+
+// -> { to, missing } for a repo-local reference, null for URLs, same-page
+// anchors and package imports. exists(path) says whether a path is tracked.
+export function resolveRef(from, ref, kind, exists){
+  let r = ref.trim();
+  if (!r || r.startsWith("#") || r.startsWith("//") || /^[a-z][a-z0-9+.-]*:/i.test(r)) return null;
+  if (kind === "import" && !/^\.{0,2}\//.test(r)) return null; // bare specifier: a package
+  r = r.replace(/[?#].*$/, "");
+  try { r = decodeURI(r); } catch { /* keep as written */ }
+  const joined = r.startsWith("/") ? r.replace(/^\/+/, "") : posix.join(posix.dirname(from), r);
+  let to = joined === "" ? "" : posix.normalize(joined);
+  if (to === "." || to === "./") to = "";
+  const dir = to === "" || r.endsWith("/");
+  const base = to.replace(/\/$/, "");
+  const candidates = dir ? [posix.join(base, "index.html")]
+    : [to, ...(kind === "import" ? [`${to}.js`, `${to}.mjs`, `${to}/index.js`] : []), `${to}/index.html`];
+  const found = to.startsWith("../") ? undefined : candidates.find(exists);
+  return found ? { to: found, missing: false } : { to: to || "/", missing: true };
+}
+
+// files in [from..] plus everything they depend on, transitively (Set of paths)
+export function dependencyClosure(paths, graph){
+  const out = new Map();
+  for (const e of graph.edges){
+    if (e.missing || !DEPENDENCY_KINDS.has(e.kind)) continue;
+    if (!out.has(e.from)) out.set(e.from, []);
+    out.get(e.from).push(e.to);
+  }
+  const seen = new Set(paths), todo = [...paths];
+  while (todo.length){
+    for (const to of out.get(todo.pop()) || []) if (!seen.has(to)) { seen.add(to); todo.push(to); }
+  }
+  return seen;
+}
+
+// ---------------- ai-graph.html ----------------
+export function renderGraphHtml(graph, ctx){
+  const byFrom = new Map(), byTo = new Map();
+  for (const e of graph.edges){
+    if (!byFrom.has(e.from)) byFrom.set(e.from, []);
+    byFrom.get(e.from).push(e);
+    if (!e.missing) { if (!byTo.has(e.to)) byTo.set(e.to, []); byTo.get(e.to).push(e); }
+  }
+  const missing = graph.edges.filter(e => e.missing);
+  const missingRows = missing.map(e =>
+    `<tr><td><code>${esc(e.from)}</code>:${e.line}</td><td>${esc(e.kind)}</td><td><code>${esc(e.ref)}</code></td><td><code>${esc(e.to)}</code></td></tr>`
+  ).join("\n") || `<tr><td colspan="4">No missing references.</td></tr>`;
+  const linked = graph.nodes.filter(n => byFrom.has(n.path) || byTo.has(n.path));
+  const nodeRows = linked.map(n => {
+    const outs = (byFrom.get(n.path) || []).map(e =>
+      `<li class="${e.missing ? "missing" : ""}">→ ${e.missing ? `<code>${esc(e.to)}</code> <b>missing</b>` : `<a href="#${esc(e.to)}">${esc(e.to)}</a>`} <span class="muted">${esc(e.kind)}, line ${e.line}</span></li>`);
+    const ins = (byTo.get(n.path) || []).map(e =>
+      `<li>← <a href="#${esc(e.from)}">${esc(e.from)}</a> <span class="muted">${esc(e.kind)}, line ${e.line}</span></li>`);
+    return `<div class="node" id="${esc(n.path)}" data-path="${esc(n.path.toLowerCase())}"><code>${esc(n.path)}</code><ul>${[...outs, ...ins].join("")}</ul></div>`;
+  }).join("\n");
+
+  return `<!doctype html><meta charset="utf-8">
+<title>Barkday • ai-graph</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  table{width:100%;border-collapse:collapse} th,td{border-bottom:1px solid #eee;padding:6px 8px;text-align:left}
+  code{font-family:ui-monospace,Consolas,monospace}
+  .muted{color:#666;font-size:12px}
+  .missing,b{color:#b42318}
+  .node{border-bottom:1px solid #eee;padding:8px 0}
+  .node ul{margin:4px 0 0;padding-left:18px;list-style:none}
+  .node:target{background:#fff8db}
+  input{width:100%;font:15px system-ui;padding:6px 8px;box-sizing:border-box}
+</style>
+<h1>ai-graph</h1>
+<p><small>Commit <code>${esc(ctx.commit.slice(0,7))}</code> • ${esc(ctx.updatedUtc)} • ${graph.summary.nodes} files, ${graph.summary.edges} references, ${graph.summary.missing} missing • <a href="ai-graph.json">ai-graph.json</a></small></p>
+<h2>Missing references (${missing.length})</h2>
+<table><thead><tr><th>From</th><th>Kind</th><th>Reference</th><th>Resolved to</th></tr></thead><tbody>
+${missingRows}
+</tbody></table>
+<h2>Files with references (${linked.length})</h2>
+<input id="q" type="search" placeholder="Filter by path">
+<div id="nodes">
+${nodeRows}
+</div>
+<script>
+document.getElementById("q").addEventListener("input", e => {
+  const q = e.target.value.toLowerCase();
+  for (const n of document.querySelectorAll(".node")) n.style.display = n.dataset.path.includes(q) ? "" : "none";
+});
+</script>`;
+}
@@ -0,0 +1,57 @@
+// scripts/ai_history.mjs
+// Per-file git history from one `git log` pass over the commit being indexed:
+// the last commit that touched each path (sha, author date, subject), how many
+// commits touched it and when it first appeared. Renames are not followed, so
+// a moved file's history starts at the move. Merge commits list no files and
+// are not counted.
+
+import { esc } from "./ai_html.mjs";
+
+// one record per commit: RS sha US author-date US subject NUL, then NUL-separated paths
+export const HISTORY_LOG_ARGS = ["log", "-z", "--no-renames", "--name-only", "--format=%x1e%H%x1f%aI%x1f%s"];
+
+// -> Map(path -> { commit, date, subject, commits, first_seen }), most recently
+// touched path first (git log order, newest commit first)
+export function parseHistoryLog(raw){
+  const out = new Map();
+  for (const rec of raw.split("\x1e")){
+    const end = rec.indexOf("\0");
+    if (end < 0) continue;
+    const [commit, date, subject = ""] = rec.slice(0, end).split("\x1f");
+    if (!/^[0-9a-f]{40}$/.test(commit || "")) continue;
+    for (const p of rec.slice(end + 1).replace(/^\n/, "").split("\0")){
+      if (!p) continue;
+      const h = out.get(p);
+      if (h) { h.commits++; h.first_seen = date; }
+      else out.set(p, { commit, date, subject, commits: 1, first_seen: date });
+    }
+  }
+  return out;
+}
+
+// ---------------- ai-recent.html ----------------
+export function renderRecentHtml(recent, ctx){
+  const rows = recent.files.map(f => {
+    const h = f.history;
+    const commitUrl = ctx.repo ? `https://github.com/${esc(ctx.repo)}/commit/${h.commit}` : "";
+    const sha = `<code>${h.commit.slice(0,7)}</code>`;
+    return `<tr><td class="mono"><a href="${esc(f.html_url)}" target="_blank" rel="noopener">${esc(f.path)}</a></td>` +
+      `<td>${esc(h.date.slice(0,10))}</td><td>${commitUrl ? `<a href="${commitUrl}" target="_blank" rel="noopener">${sha}</a>` : sha} ${esc(h.subject)}</td>` +
+      `<td>${h.commits}</td><td>${esc(h.first_seen.slice(0,10))}</td></tr>`;
+  }).join("\n") || `<tr><td colspan="5">No history (not a git checkout?).</td></tr>`;
+
+  return `<!doctype html><meta charset="utf-8"><title>Barkday • ai-recent</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  table{width:100%;border-collapse:collapse}
+  th,td{border-bottom:1px solid #eee;padding:8px;text-align:left;vertical-align:top}
+  .mono,code{font-family:ui-monospace,Consolas,monospace}
+</style>
+<h1>ai-recent (${recent.count})</h1>
+<p>Files by their last commit, most recent first. Per-file history for every file is in <a href="ai-index.json">ai-index.json</a> (<code>history</code>).</p>
+<p><small>Commit <code>${esc(ctx.commit.slice(0,7))}</code> • ${esc(ctx.updatedUtc)}</small></p>
+<table><thead><tr><th>Path</th><th>Changed</th><th>Last commit</th><th>Commits</th><th>First seen</th></tr></thead><tbody>
+${rows}
+</tbody></table>`;
+}
@@ -0,0 +1,14 @@
+// scripts/ai_html.mjs
+// Text helpers shared by the renderers and parsers. esc is the HTML escaping
+// used by every page the builder renders, and by the scripts those pages embed
+// (see ai_search.mjs); it is safe in element text and in double-quoted
+// attribute values. lineAt turns an offset into the 1-based line number that
+// graph edges, secret findings and the pages linking to them record.
+
+export const esc = s => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+
+export const lineAt = (text, offset) => {
+  let n = 1;
+  for (let i = text.indexOf("\n"); i >= 0 && i < offset; i = text.indexOf("\n", i + 1)) n++;
+  return n;
+};
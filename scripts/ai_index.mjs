@@ -0,0 +1,1749 @@
+// scripts/ai_index.mjs
+// Library behind build_ai_index.mjs: repo-wide indices (ai-index.*), browsable
+// lists, targeted inline packs, sharded "everything" packs, a combined "all"
+// pack, the changes delta and the catalog. The build* functions take an options
+// object ({ cwd, commit, repo, outDir, ... }) and return in-memory objects;
+// buildDocs() runs the whole pipeline and writes the files, serveDocs() runs it
+// on the working tree behind a local preview server.
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import http from "node:http";
+import crypto from "node:crypto";
+import { isUtf8 } from "node:buffer";
+import { loadPackConfig, matches, generatedGlobs, INLINE_DEFAULTS, SECRETS_DEFAULTS } from "./ai_config.mjs";
+import { schemaDocument, validate } from "./ai_schemas.mjs";
+import { summarize, summaryKind, SUMMARY_MAX_BYTES } from "./ai_summary.mjs";
+import { invertedIndex, renderSearchHtml } from "./ai_search.mjs";
+import { findSecrets, maskSpans } from "./ai_secrets.mjs";
+import { estimateTokens, estimateBinaryTokens } from "./ai_tokens.mjs";
+import { renderBundle } from "./ai_bundle.mjs";
+import { graphSource, extractRefs, resolveRef, dependencyClosure, renderGraphHtml } from "./ai_graph.mjs";
+import { loadOrgConfig, renderOrgHtml } from "./ai_org.mjs";
+import { checkWebManifest, checkAssetLinks, manifestIcons, renderSiteHealthHtml } from "./ai_site.mjs";
+import { HISTORY_LOG_ARGS, parseHistoryLog, renderRecentHtml } from "./ai_history.mjs";
+import { COMPRESSIONS, toReference, fromReference } from "./ai_store.mjs";
+import { rewriteLinks, inlinedFiles, renderViewerHtml, renderServeIndexHtml } from "./ai_serve.mjs";
+import { esc, lineAt } from "./ai_html.mjs";
+
+export { loadPackConfig, globToRegExp } from "./ai_config.mjs";
+export { esc } from "./ai_html.mjs";
+
+// ---------------- git + repo meta ----------------
+function git(args, cwd, { def = "", encoding = "utf8", input, env } = {}) {
+  try {
+    const out = execFileSync("git", args, {
+      cwd, env, encoding: encoding === "buffer" ? undefined : encoding, input, maxBuffer: 1024 * 1024 * 1024,
+      stdio: [input === undefined ? "ignore" : "pipe", "pipe", "ignore"]
+    });
+    return encoding === "utf8" ? out.trim() : out;
+  } catch { return def; }
+}
+
+const RESOLVED = Symbol("resolved");
+
+// Fills in repo/commit/branch from git in `cwd` and resolves paths once; every
+// exported function accepts either raw or already-resolved options.
+// opts.deterministic (or opts.sourceDateEpoch, SOURCE_DATE_EPOCH in seconds)
+// makes a build depend on the sources only: commits that touch nothing but
+// generated outputs (GENERATED_OUTPUTS under outDir) are skipped back to the
+// last source commit, and updated_utc is that commit's date (or the epoch).
+export function resolveOptions(opts = {}){
+  if (opts[RESOLVED]) return opts;
+  const cwd = path.resolve(opts.cwd || process.cwd());
+  const repo = opts.repo || git(["config", "--get", "remote.origin.url"], cwd)
+    .replace(/^.*github\.com[:/]/, "").replace(/\.git$/, "");
+  const outDir = path.resolve(cwd, opts.outDir || "docs");
+  const outRel = opts.outRel || path.relative(cwd, outDir).split(path.sep).join("/") || ".";
+  const deterministic = Boolean(opts.deterministic || opts.sourceDateEpoch !== undefined);
+  const rev = opts.commit || "HEAD";
+  let commit = git(["rev-parse", "--verify", "--quiet", `${rev}^{commit}`], cwd) || (opts.commit || "");
+  if (deterministic && commit) commit = sourceCommit(cwd, commit, outRel);
+  const branch = opts.branch || git(["rev-parse", "--abbrev-ref", "HEAD"], cwd) || "main";
+  const pagesUrl = opts.pagesUrl ?? pagesUrlFor(repo);
+  return {
+    ...opts,
+    [RESOLVED]: true,
+    cwd, repo, commit, branch, outDir, pagesUrl, deterministic,
+    // repo-relative (posix) prefix used for paths recorded inside artifacts;
+    // opts.outRel keeps it when building outside the repo (serveDocs)
+    outRel,
+    // where outDir is published ($schema URLs, link rewriting in serveDocs)
+    outUrl: `${pagesUrl}${outRel === "." ? "" : `${outRel}/`}`,
+    configPath: path.resolve(cwd, opts.configPath || "ai-packs.config.json"),
+    updatedUtc: opts.updatedUtc || (deterministic ? buildDate(cwd, commit, opts.sourceDateEpoch) : new Date().toISOString()),
+    log: opts.log || (() => {}),
+    warn: opts.warn || (msg => console.warn(`[build_ai_index] ${msg}`))
+  };
+}
+
+// Last commit at or before `commit` that changed anything besides generated outputs.
+function sourceCommit(cwd, commit, outRel){
+  const generated = generatedGlobs(outRel).map(g => `:(exclude,glob)${g}`);
+  return git(["log", "-1", "--format=%H", commit, "--", ".", ...generated], cwd) || commit;
+}
+
+// updated_utc of a deterministic build: SOURCE_DATE_EPOCH when given, else the committer date
+function buildDate(cwd, commit, epoch){
+  const seconds = epoch !== undefined ? Number(epoch) : Number(commit && git(["show", "-s", "--format=%ct", commit], cwd));
+  return new Date(Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0).toISOString();
+}
+
+// GitHub Pages base URL of a repo ("" when unknown)
+function pagesUrlFor(repo){
+  const [owner, name] = (repo || "").toLowerCase().split("/");
+  if (!owner || !name) return "";
+  return name === `${owner}.github.io` ? `https://${name}/` : `https://${owner}.github.io/${name}/`;
+}
+
+// ---------------- helpers ----------------
+function enc(p){ return p.split("/").map(encodeURIComponent).join("/"); }
+export function mediaTypeFor(p){
+  const ext = p.toLowerCase().split(".").pop();
+  const map = {
+    json:"application/json", schema:"application/json",
+    js:"application/javascript", mjs:"application/javascript",
+    css:"text/css", html:"text/html", md:"text/markdown", mdx:"text/markdown", txt:"text/plain",
+    svg:"image/svg+xml", png:"image/png", jpg:"image/jpeg", jpeg:"image/jpeg", webp:"image/webp", ico:"image/x-icon",
+    pdf:"application/pdf", xml:"application/xml", yml:"text/yaml", yaml:"text/yaml"
+  };
+  return map[ext] || "application/octet-stream";
+}
+export function sha256(buf){ return crypto.createHash("sha256").update(buf).digest("hex"); }
+const header = (ctx, name) => ({
+  $schema: `${ctx.outUrl}schemas/${name}.schema.json`,
+  schema: name, repo: ctx.repo, commit: ctx.commit, updated_utc: ctx.updatedUtc
+});
+
+// ---------------- gather all tracked files at this commit ----------------
+// -z keeps paths verbatim (no C-style quoting of non-ASCII or special characters).
+function filesFromGitTree(ctx, gitCommit = ctx.commit) {
+  const raw = git(["ls-tree", "-r", "-z", "--long", gitCommit], ctx.cwd);
+  const records = raw.split("\0").filter(Boolean);
+  const out = [];
+  for (const rec of records) {
+    const m = rec.match(/^\d+ blob ([0-9a-f]{40}) +(\d+)\t(.+)$/s);
+    if (!m) continue;
+    const [, blobSha, sizeStr, filePath] = m;
+    if (filePath.startsWith(".git/")) continue;
+    const raw_url  = `https://raw.githubusercontent.com/${ctx.repo}/${ctx.commit}/${enc(filePath)}`;
+    const html_url = `https://github.com/${ctx.repo}/blob/${ctx.commit}/${enc(filePath)}`;
+    out.push({ path:filePath, size:Number(sizeStr), git_blob_sha:blobSha, media_type:mediaTypeFor(filePath), raw_url, html_url });
+  }
+  return out;
+}
+
+// Many blobs in one process: `git cat-file --batch` answers "<sha> blob <size>\n<bytes>\n"
+// per requested object name (blob sha or <commit>:<path>), in request order, or
+// "<name> missing\n". Results are keyed by the requested name.
+function gitCatFileBatch(cwd, names){
+  const out = new Map();
+  if (!names.length) return out;
+  const buf = git(["cat-file", "--batch"], cwd, { encoding: "buffer", input: names.join("\n") + "\n", def: null });
+  if (!buf) return out;
+  let pos = 0;
+  for (const name of names){
+    const nl = buf.indexOf(10, pos);
+    if (nl < 0) break;
+    const [, type, size] = buf.toString("utf8", pos, nl).split(" ");
+    pos = nl + 1;
+    if (type === "missing" || size === undefined) continue;
+    out.set(name, buf.subarray(pos, pos + Number(size)));
+    pos += Number(size) + 1;
+  }
+  return out;
+}
+
+// Fallback (rare): walk working dir if git tree fails
+function walk(ctx, dir = ctx.cwd){
+  const ents = fs.readdirSync(dir, { withFileTypes:true }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const list = [];
+  for (const e of ents){
+    const abs = path.join(dir, e.name);
+    const p = path.relative(ctx.cwd, abs).split(path.sep).join("/");
+    if (p.startsWith(".git")) continue;
+    if (e.isDirectory()) list.push(...walk(ctx, abs));
+    else {
+      const stat = fs.statSync(abs);
+      list.push({
+        path: p,
+        size: stat.size,
+        git_blob_sha: "", // unknown outside git
+        media_type: mediaTypeFor(p),
+        raw_url: `https://raw.githubusercontent.com/${ctx.repo}/${ctx.commit}/${enc(p)}`,
+        html_url:`https://github.com/${ctx.repo}/blob/${ctx.commit}/${enc(p)}`
+      });
+    }
+  }
+  return list;
+}
+
+export function collectFiles(opts){
+  const ctx = resolveOptions(opts);
+  const files = filesFromGitTree(ctx);
+  if (files.length) return files;
+  ctx.warn("git ls-tree returned no files; falling back to FS walk.");
+  return walk(ctx);
+}
+
+// ---------------- master index ----------------
+// JSON/YAML/Markdown files get a structural summary (opts.summaryExclude skips
+// paths); with opts.history ({ enabled, exclude }) files also get their git history.
+export function buildIndex(files, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  attachSummaries(files, blobs, ctx.summaryExclude);
+  attachTokens(files, blobs);
+  if (ctx.history?.enabled) attachHistory(files, ctx, ctx.history.exclude);
+  const { $schema, schema, repo } = header(ctx, "barkday.ai-index.v1");
+  return {
+    $schema, schema, repo, default_branch: ctx.branch, commit: ctx.commit, updated_utc: ctx.updatedUtc,
+    files_count: files.length,
+    total_bytes: files.reduce((a,f)=>a+f.size, 0),
+    files
+  };
+}
+
+// ---------------- per-file git history ----------------
+// Sets f.history ({ commit, date, subject, commits, first_seen }) from a single
+// `git log` over ctx.commit; `exclude` (regexes) skips paths. In a shallow
+// clone counts and first_seen only cover the commits that were fetched.
+function attachHistory(files, ctx, exclude = []){
+  const raw = ctx.commit && git([...HISTORY_LOG_ARGS, ctx.commit, "--"], ctx.cwd);
+  if (!raw) return files;
+  if (git(["rev-parse", "--is-shallow-repository"], ctx.cwd) === "true") {
+    ctx.warn("Shallow clone: history counts and first_seen dates only cover the fetched commits.");
+  }
+  const history = parseHistoryLog(raw);
+  for (const f of files){
+    const h = history.get(f.path);
+    if (h && !exclude.some(rx => rx.test(f.path))) f.history = h;
+  }
+  return files;
+}
+
+// The `limit` files with history whose last commit is newest (author date, then path).
+export function buildRecent(files, limit, opts){
+  const ctx = resolveOptions(opts);
+  const recent = files.filter(f => f.history)
+    .map(f => ({ f, t: Date.parse(f.history.date) }))
+    .sort((a, b) => b.t - a.t || (a.f.path < b.f.path ? -1 : 1))
+    .slice(0, limit)
+    .map(({ f }) => ({ path: f.path, size: f.size, sha: f.git_blob_sha, raw_url: f.raw_url, html_url: f.html_url, history: f.history }));
+  return { ...header(ctx, "barkday.ai-recent.v1"), count: recent.length, files: recent };
+}
+
+// ---------------- previous outputs (incremental reuse) ----------------
+// The committed docs/ from the last run already carry inline content keyed by
+// git blob sha (in blobs/ for packs stored by reference). Full items are
+// reused only when their bytes re-hash to the recorded content_sha256; previews
+// are reused when the preview size matches and nothing in them was masked (a
+// masked preview is rebuilt from git, so its redactions are reported again),
+// structural summaries and token estimates whenever the blob sha does.
+export function loadPreviousOutputs(dir){
+  const prev = { commit: "", files: null, changes: null, full: new Map(), preview: new Map(), summaries: new Map(), tokens: new Map() };
+  let names;
+  try { names = fs.readdirSync(dir).sort(); } catch { return prev; }
+
+  for (const file of ["ai-index.min.json", "ai-index.json"]){
+    try {
+      const idx = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      prev.commit = idx.commit || ""; prev.files = Array.isArray(idx.files) ? idx.files : null;
+      for (const f of prev.files || []){
+        if (f.git_blob_sha && f.summary) prev.summaries.set(f.git_blob_sha, f.summary);
+        if (f.git_blob_sha && Number.isInteger(f.estimated_tokens)) prev.tokens.set(f.git_blob_sha, f.estimated_tokens);
+      }
+      break;
+    } catch { /* first run */ }
+  }
+  try { prev.changes = JSON.parse(fs.readFileSync(path.join(dir, "ai-changes.min.json"), "utf8")); } catch { /* first run */ }
+
+  // one JSON flavour per base name; the combined pack only duplicates the targeted packs
+  const bases = new Set(names
+    .filter(n => /^ai-pack-.*\.json$/.test(n) && !/^ai-pack-(all|catalog)\.|\.manifest\./.test(n))
+    .map(n => n.replace(/(\.min)?\.json$/, "")));
+  const readBlob = hash => { try { return fs.readFileSync(path.join(dir, "blobs", hash)); } catch { return null; } };
+  for (const base of bases){
+    const file = names.includes(`${base}.min.json`) ? `${base}.min.json` : `${base}.json`;
+    let pack;
+    try { pack = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")); } catch { continue; }
+    for (const item of pack.items || []){
+      const it = fromReference(item, readBlob);
+      if (!it?.sha || !it.content_sha256 || typeof it.content !== "string") continue;
+      if (it.inline_state === "full" && !prev.full.has(it.sha)){
+        const buf = Buffer.from(it.content, it.encoding === "base64" ? "base64" : "utf8");
+        if (sha256(buf) === it.content_sha256) prev.full.set(it.sha, buf);
+      } else if (it.inline_state === "preview" && !it.redacted_reason && !it.content.endsWith("\uFFFD")){
+        // (older builds could cut previews mid-character; those are rebuilt)
+        prev.preview.set(`${it.sha}:${it.preview_text_bytes}`, {
+          content: it.content, content_sha256: it.content_sha256, json_hint: it.json_hint
+        });
+      }
+    }
+  }
+  return prev;
+}
+
+// ---------------- changes since the previous index ----------------
+// Compares (path, size, git_blob_sha) against the previous ai-index. A removed
+// path whose blob sha reappears under an added path is reported as a rename;
+// `exclude` drops generated outputs.
+export function diffIndex(prevFiles, nextFiles, exclude = []){
+  const keep = f => !exclude.some(rx => rx.test(f.path));
+  const before = new Map((prevFiles || []).filter(keep).map(f => [f.path, f]));
+  const after  = new Map(nextFiles.filter(keep).map(f => [f.path, f]));
+
+  let added = [...after.values()].filter(f => !before.has(f.path));
+  let removed = [...before.values()].filter(f => !after.has(f.path));
+  const modified = [...after.values()]
+    .filter(f => before.has(f.path) && before.get(f.path).git_blob_sha !== f.git_blob_sha)
+    .map(f => {
+      const old = before.get(f.path);
+      return { path: f.path, old_size: old.size, size: f.size, bytes_delta: f.size - old.size,
+               old_sha: old.git_blob_sha, sha: f.git_blob_sha, raw_url: f.raw_url, html_url: f.html_url };
+    });
+
+  const renamed = [];
+  const removedBySha = new Map();
+  for (const f of removed) if (f.git_blob_sha && !removedBySha.has(f.git_blob_sha)) removedBySha.set(f.git_blob_sha, f);
+  added = added.filter(f => {
+    const from = removedBySha.get(f.git_blob_sha);
+    if (!from) return true;
+    removedBySha.delete(f.git_blob_sha);
+    renamed.push({ from: from.path, to: f.path, size: f.size, sha: f.git_blob_sha, raw_url: f.raw_url, html_url: f.html_url });
+    return false;
+  });
+  const renamedFrom = new Set(renamed.map(r => r.from));
+  removed = removed.filter(f => !renamedFrom.has(f.path));
+
+  const addedOut = added.map(f => ({ path: f.path, size: f.size, sha: f.git_blob_sha, raw_url: f.raw_url, html_url: f.html_url }));
+  const removedOut = removed.map(f => ({ path: f.path, size: f.size, sha: f.git_blob_sha }));
+  const bytes_delta = added.reduce((a,f)=>a+f.size, 0) - removed.reduce((a,f)=>a+f.size, 0)
+    + modified.reduce((a,m)=>a+m.bytes_delta, 0);
+  return {
+    summary: {
+      added: addedOut.length, removed: removedOut.length, modified: modified.length, renamed: renamed.length,
+      unchanged: after.size - addedOut.length - modified.length - renamed.length, bytes_delta
+    },
+    added: addedOut, removed: removedOut, modified, renamed
+  };
+}
+
+// Rebuilding a commit whose outputs are already in place keeps their delta
+// (the previous index is this commit's own, so a fresh diff would be empty).
+export function buildChanges(previous, files, exclude, opts){
+  const ctx = resolveOptions(opts);
+  const { $schema, schema, repo } = header(ctx, "barkday.ai-changes.v1");
+  const same = ctx.commit && previous.commit === ctx.commit && previous.changes?.to_commit === ctx.commit;
+  const { summary, added, removed, modified, renamed } = same ? previous.changes : diffIndex(previous.files, files, exclude);
+  return {
+    $schema, schema, repo, from_commit: same ? previous.changes.from_commit : previous.commit || null, to_commit: ctx.commit,
+    updated_utc: ctx.updatedUtc, summary, added, removed, modified, renamed
+  };
+}
+
+function renderChangesHtml(changes, ctx){
+  const signed = n => (n > 0 ? `+${n}` : String(n));
+  const link = (label, f) => f.html_url ? `<a href="${f.html_url}" target="_blank" rel="noopener">${esc(label)}</a>` : esc(label);
+  const section = (title, head, rows) => `<h2>${title} (${rows.length})</h2>
+<table><thead><tr>${head.map(h => `<th>${h}</th>`).join("")}</tr></thead><tbody>
+${rows.join("\n") || `<tr><td colspan="${head.length}">None.</td></tr>`}
+</tbody></table>`;
+
+  return `<!doctype html><meta charset="utf-8"><title>Barkday • ai-changes</title>
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  table{width:100%;border-collapse:collapse;margin-bottom:18px}
+  th,td{border-bottom:1px solid #eee;padding:8px;text-align:left}
+  .mono{font-family:ui-monospace,Consolas,monospace}
+</style>
+<h1>ai-changes</h1>
+<p><small>From <code>${(changes.from_commit || "none").slice(0,7)}</code> to <code>${ctx.commit.slice(0,7)}</code> • ${ctx.updatedUtc}
+ • bytes ${signed(changes.summary.bytes_delta)} • ${changes.summary.unchanged} unchanged</small></p>
+${section("Added", ["Path", "Size"], changes.added.map(f => `<tr><td class="mono">${link(f.path, f)}</td><td>${f.size}</td></tr>`))}
+${section("Removed", ["Path", "Size"], changes.removed.map(f => `<tr><td class="mono">${esc(f.path)}</td><td>${f.size}</td></tr>`))}
+${section("Modified", ["Path", "Size", "Δ bytes"], changes.modified.map(m => `<tr><td class="mono">${link(m.path, m)}</td><td>${m.size}</td><td>${signed(m.bytes_delta)}</td></tr>`))}
+${section("Renamed", ["From", "To", "Size"], changes.renamed.map(r => `<tr><td class="mono">${esc(r.from)}</td><td class="mono">${link(r.to, r)}</td><td>${r.size}</td></tr>`))}`;
+}
+
+// ---------------- simple lists (json + min.json + html) ----------------
+export function buildList(entry, files, opts){
+  const ctx = resolveOptions(opts);
+  const subset = files.filter(f => matches(f, entry));
+  return {
+    ...header(ctx, `barkday.${entry.name}.v1`),
+    count: subset.length,
+    files: subset.map(({path: p, size, git_blob_sha, raw_url, html_url}) => ({
+      path: p, size, sha: git_blob_sha, raw_url, html_url
+    }))
+  };
+}
+
+function renderListHtml(title, list, ctx){
+  const rows = list.files.map(f =>
+    `<tr><td class="mono">${esc(f.path)}</td><td>${f.size}</td><td><a href="${f.raw_url}" target="_blank" rel="noopener">raw</a></td><td><a href="${f.html_url}" target="_blank" rel="noopener">view</a></td></tr>`
+  ).join("\n") || `<tr><td colspan="4">No matching files.</td></tr>`;
+
+  return `<!doctype html><meta charset="utf-8"><title>Barkday • ${esc(title)}</title>
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  table{width:100%;border-collapse:collapse}
+  th,td{border-bottom:1px solid #eee;padding:8px;text-align:left}
+  .mono{font-family:ui-monospace,Consolas,monospace}
+</style>
+<h1>${esc(title)} (${list.count})</h1>
+<p><small>Commit <code>${ctx.commit.slice(0,7)}</code> • ${ctx.updatedUtc}</small></p>
+<table><thead><tr><th>Path</th><th>Size</th><th>Raw</th><th>HTML</th></tr></thead><tbody>
+${rows}
+</tbody></table>`;
+}
+
+// ---------------- inline limits + policy ----------------
+const TEXT_EXT = new Set(["md","mdx","json","js","mjs","css","html","yml","yaml","txt","svg"]);
+
+export function isTextPath(p){
+  const ext = (p.split('.').pop()||'').toLowerCase();
+  return TEXT_EXT.has(ext) || /^text\//.test(mediaTypeFor(p));
+}
+
+function inlinePlan(f, limits){
+  if (isTextPath(f.path)) {
+    if (limits.always_full.some(rx => rx.test(f.path)) || f.size <= limits.max_text_bytes) return "full";
+    if (limits.large_text === "chunks") return "chunks";
+    return limits.preview_text_bytes > 0 ? "preview" : "none";
+  }
+  return f.size <= limits.max_bin_bytes ? "full" : "none";
+}
+
+// Blob contents for one run, keyed by git blob sha (each blob is read at most
+// once). Seeded from the previous outputs; prefetch() resolves everything the
+// packs will need up front and fetches the rest through a single cat-file process.
+// view() is what may be published: likely secrets masked or the file withheld
+// (opts.secrets, see SECRETS_DEFAULTS); every scan result lands in `scanned`.
+export function createBlobStore(opts, previous = loadPreviousOutputs(resolveOptions(opts).outDir)){
+  const ctx = resolveOptions(opts);
+  const secrets = ctx.secrets || SECRETS_DEFAULTS;
+  const views = new Map();   // path -> view
+  const scanned = new Map(); // path -> report entry (files with findings or denied)
+  const blobs = new Map();
+  const stats = {
+    reused: new Set(), read: new Set(), previews_reused: new Set(), reused_bytes: 0, read_bytes: 0, batches: 0,
+    summaries_reused: new Set(), summarized: new Set(), tokens_reused: new Set(), tokens_estimated: new Set()
+  };
+  const previousPreview = (f, limits) =>
+    f.git_blob_sha && previous.preview.get(`${f.git_blob_sha}:${limits.preview_text_bytes}`);
+
+  function fetch(subset){
+    const wanted = new Set();
+    for (const f of subset){
+      if (!f.git_blob_sha || blobs.has(f.git_blob_sha)) continue;
+      const prev = previous.full.get(f.git_blob_sha);
+      if (prev) {
+        blobs.set(f.git_blob_sha, prev);
+        stats.reused.add(f.git_blob_sha); stats.reused_bytes += prev.length;
+      } else wanted.add(f.git_blob_sha);
+    }
+    if (wanted.size) stats.batches++;
+    for (const [sha, buf] of gitCatFileBatch(ctx.cwd, [...wanted])){
+      blobs.set(sha, buf);
+      stats.read.add(sha); stats.read_bytes += buf.length;
+    }
+  }
+  // entries: [{ subset, limits }] -> the files whose content packs inline
+  const inlined = entries => entries.flatMap(({ subset, limits }) => subset.filter(f => {
+    const plan = inlinePlan(f, limits);
+    return plan !== "none" && !(plan === "preview" && previousPreview(f, limits));
+  }));
+  const prefetch = entries => fetch(inlined(entries));
+  // a miss is fetched on its own; files outside git (FS walk) come from disk
+  function read(f){
+    if (f.git_blob_sha) fetch([f]);
+    return blobs.get(f.git_blob_sha) || fs.readFileSync(path.join(ctx.cwd, f.path));
+  }
+  const denied = f => secrets.deny.find(d => d.rx.test(f.path));
+
+  function verdict(f, str, found, isText){
+    if (!found.length) return null;
+    const findings = found.map(s => ({ rule: s.rule, ...(isText && { line: lineAt(str, s.start) }) }));
+    const rules = [...new Set(found.map(s => s.rule))].join(", ");
+    const drop = !isText || secrets.action === "none";
+    const v = drop
+      ? { reason: `likely secret (${rules}); content withheld`, findings }
+      : { reason: `masked ${found.length} likely secret(s) (${rules})`, findings, masked: maskSpans(str, found) };
+    scanned.set(f.path, { path: f.path, sha: f.git_blob_sha, action: drop ? "withheld" : "masked", findings });
+    return v;
+  }
+
+  // -> { buf, sha256 } with buf null when withheld, plus reason/findings when anything was found
+  function view(f){
+    if (views.has(f.path)) return views.get(f.path);
+    let v;
+    const d = denied(f);
+    if (d) {
+      v = { buf: null, reason: `denied path (${d.glob})`, findings: [] };
+      scanned.set(f.path, { path: f.path, sha: f.git_blob_sha, action: "denied", findings: [] });
+    } else {
+      const raw = read(f);
+      v = { buf: raw, sha256: sha256(raw) };
+      if (!secrets.allow.some(rx => rx.test(f.path))) {
+        const latin = raw.toString("latin1"); // byte offsets == string offsets
+        const hit = verdict(f, latin, findSecrets(latin, { entropy: secrets.entropy && isTextPath(f.path) }), isTextPath(f.path));
+        if (hit) v = { ...v, ...hit, buf: hit.masked === undefined ? null : Buffer.from(hit.masked, "latin1") };
+      }
+    }
+    views.set(f.path, v);
+    return v;
+  }
+  // the same for a cached preview string -> { text } (null when withheld)
+  function viewText(f, text){
+    const d = denied(f);
+    if (d) return view(f);
+    if (secrets.allow.some(rx => rx.test(f.path))) return { text };
+    const hit = verdict(f, text, findSecrets(text, { entropy: secrets.entropy }), true);
+    return hit ? { ...hit, text: hit.masked ?? null } : { text };
+  }
+
+  return { fetch, prefetch, inlined, read, view, viewText, denied, previousPreview, stats, previous, scanned };
+}
+
+const summaryTodo = (files, blobs, exclude) => files.filter(f => !("summary" in f) && summaryKind(f.path)
+  && !exclude.some(rx => rx.test(f.path)) && !blobs.denied(f));
+// read from git: small enough to summarize and no summary to reuse
+const summaryRead = (f, blobs) => f.size <= SUMMARY_MAX_BYTES && !(f.git_blob_sha && blobs.previous.summaries.has(f.git_blob_sha));
+
+// Sets f.summary on JSON/YAML/Markdown files that do not have one yet, reusing
+// the previous index's summary for an unchanged blob. `exclude` (regexes, e.g.
+// config.summaries.exclude for generated outputs) and denied paths are skipped;
+// summaries are taken from the secret-masked view of a file.
+export function attachSummaries(files, blobs, exclude = []){
+  const todo = summaryTodo(files, blobs, exclude);
+  blobs.fetch(todo.filter(f => summaryRead(f, blobs)));
+  for (const f of todo){
+    const prev = f.git_blob_sha && blobs.previous.summaries.get(f.git_blob_sha);
+    if (prev) { f.summary = prev; blobs.stats.summaries_reused.add(f.git_blob_sha); continue; }
+    let buf = null;
+    try { if (f.size <= SUMMARY_MAX_BYTES) buf = blobs.view(f).buf; }
+    catch { continue; }
+    if (!buf && f.size <= SUMMARY_MAX_BYTES) continue; // withheld
+    f.summary = summarize(f.path, buf, f.size);
+    blobs.stats.summarized.add(f.git_blob_sha || f.path);
+  }
+  return files;
+}
+
+const tokenTodo = (files, blobs) => files.filter(f => !("estimated_tokens" in f) && !blobs.denied(f));
+const tokenReuse = (f, blobs) => f.git_blob_sha && blobs.previous.tokens.get(f.git_blob_sha);
+// read from git: text with no estimate to reuse
+const tokenRead = (f, blobs) => isTextPath(f.path) && tokenReuse(f, blobs) === undefined;
+
+// Sets f.estimated_tokens to what inlining the whole file would cost: its
+// secret-masked text, or base64 for binaries (from the size alone). Reused
+// from the previous index for an unchanged blob; withheld files get none.
+function attachTokens(files, blobs){
+  const todo = tokenTodo(files, blobs);
+  blobs.fetch(todo.filter(f => tokenRead(f, blobs)));
+  for (const f of todo){
+    if (!isTextPath(f.path)) { f.estimated_tokens = estimateBinaryTokens(f.size); continue; }
+    const prev = tokenReuse(f, blobs);
+    if (prev !== undefined) { f.estimated_tokens = prev; blobs.stats.tokens_reused.add(f.git_blob_sha); continue; }
+    let buf;
+    try { buf = blobs.view(f).buf; } catch { continue; }
+    if (!buf) continue; // withheld
+    f.estimated_tokens = estimateTokens(buf.toString("utf8"));
+    blobs.stats.tokens_estimated.add(f.git_blob_sha || f.path);
+  }
+  return files;
+}
+
+// What an item costs in a pack: its inlined content plus the metadata around it.
+function itemTokens(item){
+  const { content, ...meta } = item;
+  return (item.estimated_tokens || 0) + estimateTokens(JSON.stringify(meta));
+}
+const packTokens = items => items.reduce((a, it) => a + itemTokens(it), 0);
+
+// Largest end <= `end` that does not split a UTF-8 sequence (continuation bytes are 10xxxxxx).
+function utf8Boundary(buf, start, end){
+  if (end >= buf.length) return buf.length;
+  let e = end;
+  while (e > start && (buf[e] & 0xC0) === 0x80) e--;
+  return e > start ? e : end;  // not UTF-8 after all: cut at the byte limit
+}
+export function previewText(buf, bytes){ return buf.toString("utf8", 0, utf8Boundary(buf, 0, bytes)); }
+
+// Byte ranges [start, end) of at most `bytes` each, ending after the last
+// newline in the window when there is one, else on a character boundary.
+export function chunkRanges(buf, bytes){
+  const ranges = [];
+  for (let start = 0; start < buf.length;){
+    let end = Math.min(start + bytes, buf.length);
+    if (end < buf.length){
+      const nl = buf.lastIndexOf(10, end - 1);
+      end = nl >= start ? nl + 1 : utf8Boundary(buf, start, end);
+    }
+    ranges.push([start, end]);
+    start = end;
+  }
+  return ranges;
+}
+
+// ---------------- optional JSON shape hints for large files ----------------
+function jsonShapeHint(buf){
+  try {
+    const text = buf.toString("utf8");
+    const data = JSON.parse(text);
+    const hint = { type: Array.isArray(data) ? "array" : (data && typeof data === "object" ? "object" : typeof data) };
+    if (Array.isArray(data)) {
+      hint.length = data.length;
+      hint.sample = data.slice(0, Math.min(3, data.length));
+    } else if (data && typeof data === "object") {
+      hint.keys = Object.keys(data).slice(0, 12);
+    }
+    return hint;
+  } catch {
+    return undefined;
+  }
+}
+
+// ---------------- pack items (metadata + inline content per limits) ----------------
+// One item per file, except with large_text "chunks": an oversized text file
+// becomes consecutive "chunk" items that concatenate back to the exact bytes.
+function packItems(f, limits, blobs){
+  let inline_state = "none";   // "full" | "preview" | "chunk" | "none"
+  let encoding, content, content_sha, meta, chunks, redacted;
+  const plan = inlinePlan(f, limits);
+  const cached = plan === "preview" && !blobs.denied(f) && blobs.previousPreview(f, limits);
+
+  try {
+    // what may be published (secrets masked, or nothing); chunk hashes cover these bytes
+    const pub = plan === "none" || cached ? null : blobs.view(f);
+    if (pub?.reason) redacted = { redacted_reason: pub.reason, ...(pub.findings.length && { redactions: pub.findings }) };
+    const buf = pub?.buf;
+    if (pub && !buf) {
+      /* withheld: metadata only */
+    } else if (plan === "chunks") {
+      // non-UTF-8 "text" is chunked as base64 so reassembly stays byte-exact
+      inline_state = "chunk"; encoding = isUtf8(buf) ? "utf8" : "base64";
+      content_sha = pub.sha256;
+      const ranges = chunkRanges(buf, limits.chunk_text_bytes);
+      chunks = ranges.map(([start, end], index) => ({
+        content: buf.toString(encoding, start, end),
+        chunk: { index, count: ranges.length, byte_start: start, byte_end: end, sha256: sha256(buf.subarray(start, end)) }
+      }));
+    } else if (cached) {
+      const v = blobs.viewText(f, cached.content);
+      if (v.reason) redacted = { redacted_reason: v.reason, ...(v.findings.length && { redactions: v.findings }) };
+      if (v.text !== null) {
+        inline_state = "preview"; encoding = "utf8"; content = v.text;
+        content_sha = cached.content_sha256;
+        if (cached.json_hint && !v.reason) meta = { json_hint: cached.json_hint };
+      }
+      blobs.stats.previews_reused.add(f.git_blob_sha);
+    } else if (plan !== "none") {
+      content_sha = pub.sha256; // hash of the file in git (even if previewed or masked)
+      if (!isTextPath(f.path)) {
+        inline_state = "full"; encoding = "base64"; content = buf.toString("base64");
+      } else if (plan === "full") {
+        inline_state = "full"; encoding = "utf8"; content = buf.toString("utf8");
+      } else {
+        inline_state = "preview"; encoding = "utf8"; content = previewText(buf, limits.preview_text_bytes);
+        if (/\.json$/i.test(f.path)) meta = { json_hint: jsonShapeHint(buf) };
+      }
+    }
+  } catch { /* metadata only */ }
+
+  const item = {
+    path: f.path,
+    size: f.size,
+    sha: f.git_blob_sha,
+    media_type: f.media_type,
+    raw_url: f.raw_url,
+    html_url: f.html_url,
+    inline_state,
+    max_inline_text_bytes: limits.max_text_bytes,
+    max_inline_bin_bytes:  limits.max_bin_bytes,
+    preview_text_bytes:    limits.preview_text_bytes,
+    ...(f.summary && { summary: f.summary }),
+    ...redacted
+  };
+  const inlined = (content, extra) => ({
+    ...item, encoding, content, inline_bytes: content.length, content_sha256: content_sha,
+    estimated_tokens: estimateTokens(content, encoding), ...extra
+  });
+  if (chunks) return chunks.map(c => inlined(c.content, { chunk: c.chunk }));
+  if (inline_state === "none") return [item];
+  return [inlined(content, meta)];
+}
+
+// ---------------- targeted inline packs ----------------
+// entry: a config pack ({ name, include, exclude, inline }); opts.blobs shares
+// one blob store across packs (a fresh one is made otherwise).
+export function buildPack(entry, files, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  const limits = entry.inline || INLINE_DEFAULTS;
+  const subset = attachSummaries(packSubset(entry, files, ctx), blobs, ctx.summaryExclude);
+  const items = subset.flatMap(f => packItems(f, limits, blobs));
+  return { ...header(ctx, `barkday.${entry.name}.v1`), count: items.length, items };
+}
+
+// Files of a targeted pack: its globs, plus with with_deps whatever those
+// files depend on (imports, scripts, stylesheets, images), in index order.
+function packSubset(entry, files, ctx){
+  const direct = files.filter(f => matches(f, entry));
+  if (!entry.with_deps) return direct;
+  const keep = dependencyClosure(direct.map(f => f.path), ctx.graph || buildGraph(files, {}, ctx));
+  return files.filter(f => keep.has(f.path));
+}
+
+// ---------------- reference graph ----------------
+// Nodes are the index paths; edges come from parsing HTML, JS, Markdown and
+// web app manifests (secret-masked views; `exclude` sources are skipped).
+// Unresolvable references are kept with missing: true unless they point into
+// `external`, paths that another site serves.
+export function buildGraph(files, graph = {}, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  const { external = [] } = graph;
+  const tracked = new Set(files.map(f => f.path));
+  const sources = graphSources(files, graph, blobs);
+  blobs.fetch(sources);
+
+  const edges = [];
+  for (const f of sources){
+    let buf;
+    try { buf = blobs.view(f).buf; } catch { continue; }
+    if (!buf) continue; // withheld
+    for (const { ref, kind, line } of extractRefs(f.path, buf.toString("utf8"))){
+      const r = resolveRef(f.path, ref, kind, p => tracked.has(p));
+      if (!r || (r.missing && external.some(rx => rx.test(r.to)))) continue;
+      edges.push({ from: f.path, to: r.to, kind, line, ref, ...(r.missing && { missing: true }) });
+    }
+  }
+  const outs = new Map(), ins = new Map();
+  for (const e of edges){
+    outs.set(e.from, (outs.get(e.from) || 0) + 1);
+    if (!e.missing) ins.set(e.to, (ins.get(e.to) || 0) + 1);
+  }
+  return {
+    ...header(ctx, "barkday.ai-graph.v1"),
+    summary: { nodes: files.length, edges: edges.length, missing: edges.filter(e => e.missing).length },
+    nodes: files.map(f => ({ path: f.path, out: outs.get(f.path) || 0, in: ins.get(f.path) || 0 })),
+    edges
+  };
+}
+
+const graphSources = (files, { exclude = [] }, blobs) =>
+  files.filter(f => graphSource(f.path) && !exclude.some(rx => rx.test(f.path)) && !blobs.denied(f));
+
+// ---------------- SHARDED "EVERYTHING" PACK ----------------
+// Returns the shard packs plus their manifest; `everything` is config.everything.
+// Chunks of one file may land in different shards; the manifest lists where.
+// Mode "bytes" cuts a shard once its inline content reaches shard_target_bytes;
+// mode "tokens" orders files by priority and starts a new shard before an item
+// would take it past shard_token_budget (an item over budget gets its own).
+export function buildEverythingShards(files, everything, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  const {
+    inline: limits = INLINE_DEFAULTS, mode = "bytes", shard_target_bytes, shard_token_budget, shard_max_items,
+    formats = ["json", "min.json", "txt", "md"]
+  } = everything;
+  // everything minus generated outputs (per config) and git internals
+  const subset = attachSummaries(everythingSubset(files, everything), blobs, ctx.summaryExclude);
+  let groups = subset.map(f => ({ f, items: packItems(f, limits, blobs) }));
+  if (mode === "tokens") groups = priorityOrder(groups, everything);
+
+  let items = [], bytes = 0, tokens = 0, shardIdx = 1;
+  const shards = [];
+  const chunked = new Map(); // path -> manifest entry
+
+  function flush(){
+    if (!items.length) return;
+    const name = `ai-pack-everything-${String(shardIdx).padStart(4,'0')}`;
+    const pack = {
+      ...header(ctx, "barkday.ai-pack-everything.v1"),
+      count: items.length,
+      items
+    };
+    shards.push({ name, pack, approx_bytes: Buffer.byteLength(JSON.stringify(pack)), estimated_tokens: tokens });
+    shardIdx++; items = []; bytes = 0; tokens = 0;
+  }
+
+  for (const { f, items: fileItems } of groups){
+    for (const item of fileItems){
+      const cost = itemTokens(item);
+      if (mode === "tokens" && tokens + cost > shard_token_budget) flush();
+      if (item.chunk) {
+        if (!chunked.has(f.path)) chunked.set(f.path, {
+          path: f.path, sha: f.git_blob_sha, size: f.size, content_sha256: item.content_sha256, encoding: item.encoding, chunks: []
+        });
+        const { index, byte_start, byte_end, sha256: chunkSha } = item.chunk;
+        chunked.get(f.path).chunks.push({
+          index, shard: `ai-pack-everything-${String(shardIdx).padStart(4,'0')}`, byte_start, byte_end, sha256: chunkSha
+        });
+      }
+      bytes += item.inline_bytes || 0;
+      tokens += cost;
+      items.push(item);
+      if ((mode === "bytes" && bytes >= shard_target_bytes) || items.length >= shard_max_items) flush();
+    }
+  }
+  flush();
+
+  const jsonExt = formats.includes("min.json") ? "min.json" : formats.includes("json") ? "json" : null;
+  const manifest = {
+    ...header(ctx, "barkday.ai-pack-everything.manifest.v1"),
+    mode,
+    ...(mode === "tokens" && { token_budget: shard_token_budget }),
+    estimated_tokens: shards.reduce((a, s) => a + s.estimated_tokens, 0),
+    shards: shards.map(s => ({
+      name: s.name,
+      count: s.pack.count,
+      approx_bytes: s.approx_bytes,
+      estimated_tokens: s.estimated_tokens,
+      ...(jsonExt && { url_json: `${ctx.outRel}/${s.name}.${jsonExt}` }),
+      ...(formats.includes("txt") && { url_txt: `${ctx.outRel}/${s.name}.txt` }),
+      ...(formats.includes("md") && { url_md: `${ctx.outRel}/${s.name}.md` })
+    })),
+    ...(chunked.size && { reassembly: REASSEMBLY, chunked_files: [...chunked.values()] })
+  };
+  return { shards, manifest };
+}
+const REASSEMBLY = "Items with inline_state \"chunk\" hold consecutive byte ranges [byte_start, byte_end) of one file. " +
+  "For each chunked_files entry, read its chunks in index order from the listed shards, decode each content with the " +
+  "entry's encoding and concatenate the bytes; chunk.sha256 hashes each range and content_sha256 the whole file.";
+// Token mode order: files of the everything.priority packs (in that order),
+// then the rest, then `last` globs and minified-looking text; path order within.
+const MINIFIED_LINE_CHARS = 500;  // average line length of minified/bundled text
+function priorityOrder(groups, everything){
+  const { priority = [], last = [] } = everything;
+  const minified = it => it.encoding === "utf8" && it.content.length > MINIFIED_LINE_CHARS
+    && it.content.length / (it.content.split("\n").length) > MINIFIED_LINE_CHARS;
+  const rank = ({ f, items }) => {
+    if (last.some(rx => rx.test(f.path)) || (items[0]?.content !== undefined && minified(items[0]))) return priority.length + 1;
+    const i = priority.findIndex(p => matches(f, p));
+    return i < 0 ? priority.length : i;
+  };
+  return groups.map((g, i) => ({ g, r: rank(g), i })).sort((a, b) => a.r - b.r || a.i - b.i).map(x => x.g);
+}
+
+const everythingSubset = (files, everything) => files.filter(f =>
+  !(everything.exclude || []).some(rx => rx.test(f.path)) &&
+  !f.path.startsWith('.git/')
+);
+
+function renderEverythingHtml(manifest, formats, ctx){
+  const jsonExt = formats.includes("min.json") ? "min.json" : formats.includes("json") ? "json" : null;
+  const shardLinks = s => [
+    formats.includes("txt") && `<a href="${s.name}.txt" target="_blank">txt</a>`,
+    formats.includes("md") && `<a href="${s.name}.md" target="_blank">md</a>`,
+    jsonExt && `<a href="${s.name}.${jsonExt}" target="_blank">json</a>`
+  ].filter(Boolean).join(" · ");
+  const rows = manifest.shards.map(s =>
+    `<tr><td><code>${s.name}</code></td><td>${s.count}</td><td>${s.approx_bytes}</td><td>${s.estimated_tokens}</td><td>${shardLinks(s)}</td></tr>`
+  ).join("\n") || `<tr><td colspan="5">No shards emitted.</td></tr>`;
+  const budget = manifest.mode === "tokens" ? ` • token budget ${manifest.token_budget} per shard` : "";
+
+  return `<!doctype html><meta charset="utf-8">
+  <title>Barkday • ai-pack-everything</title>
+  <style>body{font:14px system-ui;margin:24px;max-width:1100px} table{width:100%;border-collapse:collapse} th,td{border-bottom:1px solid #eee;padding:8px;text-align:left} code{font-family:ui-monospace,Consolas,monospace}</style>
+  <h1>ai-pack-everything</h1>
+  <p><small>Commit <code>${ctx.commit.slice(0,7)}</code> • ${ctx.updatedUtc} • ~${manifest.estimated_tokens} tokens${budget}</small></p>
+  <table><thead><tr><th>Shard</th><th>Items</th><th>~Bytes</th><th>~Tokens</th><th>Links</th></tr></thead><tbody>
+  ${rows}
+  </tbody></table>`;
+}
+
+// ---------------- Combined "ALL" pack ----------------
+// packs: [{ name, items }] in section order
+export function buildAll(packs, opts){
+  const ctx = resolveOptions(opts);
+  return {
+    ...header(ctx, "barkday.ai-pack-all.v1"),
+    sections: Object.fromEntries(packs.map(p => [p.name, { count: p.items.length, items: p.items }]))
+  };
+}
+
+function renderAllHtml(combined, config, ctx){
+  const prettyPack = JSON.stringify(combined, null, 2);
+
+  // Quick links follow whatever the config emits: lists prefer HTML, packs prefer TXT.
+  const preferred = (name, fmts, order) => `${name}.${order.find(x => fmts.includes(x))}`;
+  const listLinks = config.lists.map(l =>
+    `<li><a href="${preferred(l.name, l.formats, ["html","min.json","json"])}">${esc(l.title)}</a></li>`
+  ).join("\n      ") || `<li class="muted">No lists configured.</li>`;
+  const packLinks = config.packs.map(p =>
+    `<li><a href="${preferred(p.name, p.formats, ["txt","min.json","json"])}">${esc(p.title)}</a></li>`
+  ).join("\n      ") || `<li class="muted">No packs configured.</li>`;
+
+  return `<!doctype html><meta charset="utf-8">
+<title>Barkday • ai-pack-all</title>
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  pre{white-space:pre-wrap;word-break:break-word}
+  code{font-family:ui-monospace,Consolas,monospace}
+  ul{line-height:1.6}
+  .mono{font-family:ui-monospace,Consolas,monospace}
+  .muted{color:#666}
+  .chips a{display:inline-block;margin-right:10px}
+  .warn{background:#fff4ce;padding:8px 10px;border-radius:8px}
+  .ok{background:#e9fff0;padding:8px 10px;border-radius:8px}
+  .pill{display:inline-block;padding:2px 8px;border-radius:999px;background:#eee}
+  .grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(260px,1fr));gap:12px;margin:14px 0}
+  .card{border:1px solid #eee;border-radius:10px;padding:12px}
+  .card h3{margin:0 0 6px 0}
+</style>
+<h1>ai-pack-all</h1>
+<p><small>Commit <code>${ctx.commit.slice(0,7)}</code> • ${ctx.updatedUtc}</small></p>
+
+<div class="grid">
+  <div class="card">
+    <h3>Lists</h3>
+    <ul>
+      ${listLinks}
+    </ul>
+  </div>
+  <div class="card">
+    <h3>Packs</h3>
+    <ul>
+      ${packLinks}
+    </ul>
+  </div>
+  <div class="card">
+    <h3>Everything (for deep dives)</h3>
+    <ul>
+      <li><a href="ai-pack-everything.html">Everything index (HTML)</a></li>
+      <li><a href="ai-pack-everything.manifest.min.json">Everything manifest (JSON)</a></li>
+      <li><a href="ai-changes.html">Changes since previous build</a> <span class="muted">• <a href="ai-changes.min.json">json</a></span></li>
+      <li><a href="ai-recent.html">Recently changed files</a> <span class="muted">• <a href="ai-recent.min.json">json</a></span></li>
+      <li><a href="ai-search.html">Full-text search</a> <span class="muted">• paths and contents</span></li>
+    </ul>
+  </div>
+</div>
+
+<p class="muted">Machine-readable combined pack (below):</p>
+<pre id="data">${esc(prettyPack)}</pre>`;
+}
+
+// ---------------- full-text search index ----------------
+// search: config.search ({ exclude, max_file_bytes }). Every remaining file is
+// searchable by path; UTF-8 text files up to max_file_bytes also by content.
+export function buildSearchIndex(files, search, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  const subset = files.filter(f => !(search.exclude || []).some(rx => rx.test(f.path)));
+  const textual = f => searchText(f, search);
+  blobs.fetch(subset.filter(textual));
+  const { files: indexed, tokens } = invertedIndex(subset.map(f => {
+    const entry = { path: f.path, size: f.size, sha: f.git_blob_sha, raw_url: f.raw_url, html_url: f.html_url };
+    if (!textual(f)) return entry;
+    try {
+      const { buf } = blobs.view(f);
+      if (buf && isUtf8(buf)) entry.text = buf.toString("utf8");
+    } catch { /* path only */ }
+    return entry;
+  }));
+  return {
+    ...header(ctx, "barkday.ai-search-index.v1"),
+    count: indexed.length,
+    token_count: Object.keys(tokens).length,
+    files: indexed,
+    tokens
+  };
+}
+
+const searchText = (f, search) => isTextPath(f.path) && f.size <= search.max_file_bytes;
+
+// ---------------- secrets report ----------------
+// Everything the scans in this run masked or withheld, plus denied paths;
+// findings carry rule ids and line numbers only, never the matched text.
+export function buildSecretsReport(files, blobs, opts){
+  const ctx = resolveOptions(opts);
+  const secrets = ctx.secrets || SECRETS_DEFAULTS;
+  for (const f of files) if (blobs.denied(f) && !blobs.scanned.has(f.path)) blobs.view(f);
+  const entries = [...blobs.scanned.values()].sort((a, b) => a.path.localeCompare(b.path));
+  const count = action => entries.filter(e => e.action === action).length;
+  return {
+    ...header(ctx, "barkday.ai-secrets-report.v1"),
+    action: secrets.action,
+    strict: secrets.strict,
+    summary: {
+      files: entries.length, masked: count("masked"), withheld: count("withheld"), denied: count("denied"),
+      findings: entries.reduce((a, e) => a + e.findings.length, 0)
+    },
+    files: entries
+  };
+}
+
+// ---------------- site health (web manifest + assetlinks) ----------------
+// `site` is config.site: which files are validated as web app manifests and
+// as Digital Asset Links statements. Denied paths are skipped.
+export function buildSiteHealth(files, site, opts){
+  const ctx = resolveOptions(opts);
+  const blobs = ctx.blobs || createBlobStore(ctx);
+  const byPath = new Map(files.map(f => [f.path, f]));
+  const exists = p => byPath.has(p);
+  const read = p => { try { return blobs.read(byPath.get(p)); } catch { return null; } };
+  const checked = siteDocuments(files, site, blobs);
+  blobs.fetch(checked);
+  // then every icon the manifests point at, in one more pass
+  blobs.fetch(checked.filter(f => siteKind(f, site) === "manifest")
+    .flatMap(f => manifestIcons(f.path, read(f.path)?.toString("utf8") ?? "", exists)).map(p => byPath.get(p)));
+  const documents = [];
+  for (const f of checked){
+    const kind = siteKind(f, site);
+    const buf = read(f.path);
+    const findings = !buf ? [{ level: "error", check: "read", message: "could not read the file" }]
+      : kind === "manifest" ? checkWebManifest(f.path, buf.toString("utf8"), { exists, read, external: site.external, allowMissing: site.allowMissing })
+      : checkAssetLinks(f.path, buf.toString("utf8"));
+    documents.push({ path: f.path, kind, findings });
+  }
+  const all = documents.flatMap(d => d.findings);
+  return {
+    ...header(ctx, "barkday.ai-site-health.v1"),
+    strict: site.strict,
+    summary: {
+      documents: documents.length,
+      errors: all.filter(x => x.level === "error").length,
+      warnings: all.filter(x => x.level === "warning").length
+    },
+    documents
+  };
+}
+
+const siteKind = (f, site) => site.assetlinks.some(rx => rx.test(f.path)) ? "assetlinks"
+  : site.manifests.some(rx => rx.test(f.path)) ? "manifest" : null;
+const siteDocuments = (files, site, blobs) => files.filter(f => siteKind(f, site) && !blobs.denied(f));
+
+// ---------------- tiny catalog of what we emitted ----------------
+// entries: [{ name, count, bytes_min, files, sizes? }]; blobs: { count, bytes } of blobs/
+export function buildCatalog(entries, opts, blobs){
+  const ctx = resolveOptions(opts);
+  return { ...header(ctx, "barkday.ai-pack-catalog.v1"), packs: entries, ...(blobs?.count && { blobs }) };
+}
+
+// ---------------- writer (schema-checked json / min.json / txt + html) ----------------
+// Every JSON artifact carries a "$schema" URL pointing at its published schema
+// (docs/schemas/*.schema.json) and is validated against it before it is written.
+// Files whose bytes would not change are left alone; changed() lists the rest.
+// compress: config.compress ({ formats, min_bytes }) adds <file>.gz / <file>.br
+// (and removes stale ones); blob() stores content under blobs/<sha256>.
+function createWriter(ctx, compress = { formats: [], min_bytes: 0 }){
+  const schemas = new Map(); // schema name -> schema document
+  fs.mkdirSync(ctx.outDir, { recursive: true });
+  const rel = name => `${ctx.outRel}/${name}`;
+  const touched = [], changed = [];
+  const sizes = new Map();   // rel path -> { bytes, gzip?, br? }
+  const blobs = new Map();   // sha256 -> bytes
+  function store(name, data){
+    const file = path.join(ctx.outDir, name);
+    touched.push(rel(name));
+    let old = null;
+    try { old = fs.readFileSync(file); } catch { /* new file */ }
+    if (old && old.equals(data)) return false;
+    fs.writeFileSync(file, data);
+    changed.push(rel(name));
+    return true;
+  }
+  function write(name, text){
+    const data = Buffer.from(text);
+    const fresh = store(name, data);
+    const size = { bytes: data.length };
+    for (const [format, c] of Object.entries(COMPRESSIONS)){
+      const variant = `${name}.${c.ext}`, file = path.join(ctx.outDir, variant);
+      if (!compress.formats.includes(format) || data.length < compress.min_bytes) {
+        if (fs.existsSync(file)) { fs.rmSync(file); changed.push(rel(variant)); }
+        continue;
+      }
+      // an unchanged file keeps its variant (brotli at max quality is slow)
+      if (!fresh && fs.existsSync(file)) { touched.push(rel(variant)); size[format] = fs.statSync(file).size; continue; }
+      const packed = c.compress(data);
+      store(variant, packed);
+      size[format] = packed.length;
+    }
+    sizes.set(rel(name), size);
+  }
+  function blob(buf){
+    const hash = sha256(buf);
+    if (!blobs.has(hash)) {
+      fs.mkdirSync(path.join(ctx.outDir, "blobs"), { recursive: true });
+      const file = path.join(ctx.outDir, "blobs", hash);
+      touched.push(rel(`blobs/${hash}`));
+      if (!fs.existsSync(file)) { fs.writeFileSync(file, buf); changed.push(rel(`blobs/${hash}`)); }
+      blobs.set(hash, buf.length);
+    }
+    return { sha256: hash, bytes: buf.length, url: rel(`blobs/${hash}`) };
+  }
+  // blobs no item points at any more
+  function pruneBlobs(){
+    let names = [];
+    try { names = fs.readdirSync(path.join(ctx.outDir, "blobs")); } catch { /* none */ }
+    for (const n of names.sort()){
+      if (blobs.has(n)) continue;
+      fs.rmSync(path.join(ctx.outDir, "blobs", n));
+      changed.push(rel(`blobs/${n}`));
+    }
+    return { count: blobs.size, bytes: [...blobs.values()].reduce((a, b) => a + b, 0) };
+  }
+
+  // compact: write the .json flavour minified too (large machine-only files)
+  function json(outBase, doc, formats, kind, { compact = false } = {}){
+    const min = JSON.stringify(doc);
+    const value = JSON.parse(min);
+    if (!schemas.has(value.schema)) {
+      schemas.set(value.schema, schemaDocument(kind, value.schema, value.$schema));
+    }
+    const errors = validate(schemas.get(value.schema), value);
+    if (errors.length) {
+      throw Object.assign(new Error(`${rel(outBase)} does not match ${value.schema}`), { details: errors });
+    }
+    const written = [];
+    const put = (ext, text) => { write(`${outBase}.${ext}`, text); written.push(rel(`${outBase}.${ext}`)); };
+    if (formats.includes("json"))     put("json", compact ? min : JSON.stringify(doc, null, 2));
+    if (formats.includes("min.json")) put("min.json", min);
+    if (formats.includes("txt"))      put("txt", min); // TXT mirror for JSON-hostile clients
+    return { min, written };
+  }
+  function html(outBase, text){
+    write(`${outBase}.html`, text);
+    return rel(`${outBase}.html`);
+  }
+  function md(outBase, text){
+    write(`${outBase}.md`, text);
+    return rel(`${outBase}.md`);
+  }
+  function flushSchemas(){
+    fs.mkdirSync(path.join(ctx.outDir, "schemas"), { recursive: true });
+    for (const [name, doc] of schemas) write(`schemas/${name}.schema.json`, JSON.stringify(doc, null, 2));
+    return schemas.size;
+  }
+  return {
+    json, html, md, blob, pruneBlobs, flushSchemas, rel,
+    sizeOf: file => ({ file, ...sizes.get(file) }),
+    changed: () => ({ written: touched.length, changed: changed.slice() })
+  };
+}
+const extsOf = written => written.map(w => w.slice(w.lastIndexOf("/") + 1)).map(w => w.slice(w.indexOf(".") + 1)).join("|");
+
+// ---------------- full build ----------------
+// Files buildDocs reads from git, as far as they are known before the graph:
+// summaries and token estimates, graph sources, inlined pack content (without
+// dependencies), search text and site documents.
+function sectionReads(files, config, blobs){
+  return [
+    ...summaryTodo(files, blobs, config.summaries.exclude).filter(f => summaryRead(f, blobs)),
+    ...tokenTodo(files, blobs).filter(f => tokenRead(f, blobs)),
+    ...graphSources(files, config.graph, blobs),
+    ...blobs.inlined([
+      ...config.packs.map(p => ({ subset: files.filter(f => matches(f, p)), limits: p.inline })),
+      { subset: everythingSubset(files, config.everything), limits: config.everything.inline }
+    ]),
+    ...files.filter(f => !config.search.exclude.some(rx => rx.test(f.path)) && searchText(f, config.search)),
+    ...siteDocuments(files, config.site, blobs)
+  ];
+}
+
+// Loads the config, builds every artifact and writes it into opts.outDir.
+// Throws (with .details) on config or schema errors, and after writing
+// everything when secrets are strict (config or opts.strictSecrets) and
+// anything was masked or withheld, or when site.strict is set and the site
+// health checks found errors; returns run stats and which files changed.
+export function buildDocs(opts){
+  const ctx = resolveOptions(opts);
+  const { log } = ctx;
+  if (!ctx.repo) ctx.warn("Could not determine repo; continuing with minimal metadata.");
+
+  const files = collectFiles(ctx);
+  const config = loadPackConfig(ctx.configPath, files, ctx.outRel);
+  if (config.errors.length) {
+    throw Object.assign(new Error(`Invalid pack config (${path.relative(ctx.cwd, ctx.configPath)})`), { details: config.errors });
+  }
+  const previous = loadPreviousOutputs(ctx.outDir);
+  const secrets = { ...config.secrets, strict: ctx.strictSecrets ?? config.secrets.strict };
+  const blobs = createBlobStore({ ...ctx, secrets }, previous);
+  const run = { ...ctx, blobs, secrets, summaryExclude: config.summaries.exclude, history: config.history };
+  const out = createWriter(ctx, config.compress);
+  const catalog = [];
+  // storage "reference": content moves to blobs/<sha256>, the pack keeps a pointer
+  const stored = (items, storage) => storage === "reference" ? items.map(it => toReference(it, out.blob)) : items;
+  // one cat-file pass for every file the sections below read; only what the
+  // graph adds to with_deps packs and manifest icons are fetched later
+  blobs.fetch(sectionReads(files, config, blobs));
+
+  out.json("ai-index", buildIndex(files, run), ["json", "min.json"], "index");
+  log(`Wrote ${out.rel("ai-index")}.(json|min.json) with ${files.length} entries`);
+
+  const changes = buildChanges(previous, files, config.changes.exclude, run);
+  out.json("ai-changes", changes, ["json", "min.json"], "changes");
+  out.html("ai-changes", renderChangesHtml(changes, ctx));
+  const s = changes.summary;
+  log(`Wrote ${out.rel("ai-changes")}.(json|min.json|html): +${s.added} -${s.removed} ~${s.modified} >${s.renamed}`);
+
+  const recent = buildRecent(files, config.history.recent, run);
+  const { min: minRecent, written: recentWritten } = out.json("ai-recent", recent, ["json", "min.json"], "recent");
+  recentWritten.push(out.html("ai-recent", renderRecentHtml(recent, ctx)));
+  log(`Wrote ${out.rel("ai-recent")}.(json|min.json|html) with ${recent.count} entries` +
+    (config.history.enabled ? `, ${files.filter(f => f.history).length} files with history` : " (history disabled)"));
+  catalog.push({ name: "ai-recent", count: recent.count, bytes_min: Buffer.byteLength(minRecent), files: recentWritten });
+
+  for (const entry of config.lists){
+    const list = buildList(entry, files, run);
+    const { written } = out.json(entry.name, list, entry.formats, "list");
+    if (entry.formats.includes("html")) written.unshift(out.html(entry.name, renderListHtml(entry.title, list, ctx)));
+    log(`Wrote ${out.rel(entry.name)}.(${extsOf(written)}) with ${list.count} entries`);
+  }
+
+  const graph = run.graph = buildGraph(files, config.graph, run);
+  const { min: minGraph, written: graphWritten } = out.json("ai-graph", graph, ["json", "min.json"], "graph");
+  graphWritten.push(out.html("ai-graph", renderGraphHtml(graph, ctx)));
+  log(`Wrote ${out.rel("ai-graph")}.(json|min.json|html): ${graph.summary.edges} references, ${graph.summary.missing} missing`);
+  catalog.push({ name: "ai-graph", count: graph.summary.edges, bytes_min: Buffer.byteLength(minGraph), files: graphWritten });
+
+  blobs.prefetch([
+    ...config.packs.map(p => ({ subset: packSubset(p, files, run), limits: p.inline })),
+    { subset: everythingSubset(files, config.everything), limits: config.everything.inline }
+  ]);
+
+  const packItems = new Map(); // pack name -> items, reused by the combined pack
+  for (const entry of config.packs){
+    const pack = buildPack(entry, files, run);
+    const { min, written } = out.json(entry.name, { ...pack, items: stored(pack.items, entry.storage) }, entry.formats, "pack");
+    const tokens = packTokens(pack.items);
+    if (entry.formats.includes("md")) written.push(out.md(entry.name, renderBundle(pack, `${entry.name} — ${entry.title}`, tokens)));
+    log(`Wrote ${out.rel(entry.name)}.(${extsOf(written)}) with ${pack.count} items`);
+    packItems.set(entry.name, pack.items);
+    catalog.push({ name: entry.name, count: pack.count, bytes_min: Buffer.byteLength(min), estimated_tokens: tokens, files: written });
+  }
+
+  const { shards, manifest } = buildEverythingShards(files, config.everything, run);
+  for (const { name, pack, estimated_tokens } of shards){
+    const { written } = out.json(name, { ...pack, items: stored(pack.items, config.everything.storage) }, config.everything.formats, "pack");
+    if (config.everything.formats.includes("md")) written.push(out.md(name, renderBundle(pack, name, estimated_tokens)));
+    log(`Wrote ${out.rel(name)}.(${extsOf(written)})  items=${pack.count}`);
+  }
+  out.json("ai-pack-everything.manifest", manifest, ["json", "min.json"], "manifest");
+  out.html("ai-pack-everything", renderEverythingHtml(manifest, config.everything.formats, ctx));
+  log(`Wrote ${out.rel("ai-pack-everything")}.(manifest.json|min.json|html) with ${shards.length} shard(s), ~${manifest.estimated_tokens} tokens`);
+  catalog.push({ name: "ai-pack-everything (sharded)", count: shards.reduce((a,s)=>a+s.pack.count,0), bytes_min: shards.reduce((a,s)=>a+s.approx_bytes,0), estimated_tokens: manifest.estimated_tokens, files: [
+    out.rel("ai-pack-everything.manifest.min.json"), out.rel("ai-pack-everything.html")
+  ]});
+
+  const sections = config.all.packs.map(name => ({ name, items: packItems.get(name) || [] }));
+  const combined = buildAll(sections.map(p => ({ ...p, items: stored(p.items, config.all.storage) })), run);
+  const { min: minAll, written: allWritten } = out.json("ai-pack-all", combined, config.all.formats, "all");
+  if (config.all.formats.includes("html")) allWritten.push(out.html("ai-pack-all", renderAllHtml(combined, config, ctx)));
+  log(`Wrote ${out.rel("ai-pack-all")}.(${extsOf(allWritten)})`);
+  catalog.push({ name: "ai-pack-all (combined)", count: sections.reduce((a,p)=>a + p.items.length, 0), bytes_min: Buffer.byteLength(minAll), estimated_tokens: sections.reduce((a,p)=>a + packTokens(p.items), 0), files: allWritten });
+
+  const search = buildSearchIndex(files, config.search, run);
+  const { min: minSearch, written: searchWritten } = out.json("ai-search-index", search, ["json"], "search", { compact: true });
+  searchWritten.push(out.html("ai-search", renderSearchHtml(ctx)));
+  log(`Wrote ${out.rel("ai-search-index")}.json + ${out.rel("ai-search")}.html: ${search.count} files, ${search.token_count} tokens`);
+  catalog.push({ name: "ai-search-index", count: search.count, bytes_min: Buffer.byteLength(minSearch), files: searchWritten });
+
+  const health = buildSiteHealth(files, config.site, run);
+  const { min: minHealth, written: healthWritten } = out.json("ai-site-health", health, ["json", "min.json"], "site_health");
+  healthWritten.push(out.html("ai-site-health", renderSiteHealthHtml(health, ctx)));
+  log(`Wrote ${out.rel("ai-site-health")}.(json|min.json|html): ${health.summary.errors} error(s), ${health.summary.warnings} warning(s)`);
+  catalog.push({ name: "ai-site-health", count: health.documents.length, bytes_min: Buffer.byteLength(minHealth), files: healthWritten });
+
+  const report = buildSecretsReport(files, blobs, run);
+  const { min: minReport, written: reportWritten } = out.json("ai-secrets-report", report, ["json", "min.json"], "secrets");
+  const r = report.summary;
+  log(`Wrote ${out.rel("ai-secrets-report")}.(json|min.json): ${r.masked} masked, ${r.withheld} withheld, ${r.denied} denied`);
+  catalog.push({ name: "ai-secrets-report", count: report.files.length, bytes_min: Buffer.byteLength(minReport), files: reportWritten });
+
+  const blobStats = out.pruneBlobs();
+  if (blobStats.count) log(`Wrote ${out.rel("blobs")}/: ${blobStats.count} blob(s), ${blobStats.bytes} bytes`);
+  const packs = [...catalog.map(e => ({ ...e, sizes: e.files.map(out.sizeOf) })), ...orgCatalogEntries(ctx)];
+  out.json("ai-pack-catalog", buildCatalog(packs, run, blobStats),
+    ["json", "min.json"], "catalog");
+  log(`Wrote ${out.rel("ai-pack-catalog")}.(json|min.json)`);
+
+  const schemaCount = out.flushSchemas();
+  log(`Wrote ${out.rel("schemas")}/*.schema.json for ${schemaCount} format(s)`);
+  const output = out.changed();
+  log(output.changed.length ? `${output.changed.length} of ${output.written} file(s) changed`
+    : `No content change: all ${output.written} file(s) identical to ${ctx.outRel}/`);
+
+  const leaks = report.files.filter(e => e.action !== "denied");
+  if (secrets.strict && leaks.length) {
+    throw Object.assign(new Error(`Likely secrets found (strict mode, see ${out.rel("ai-secrets-report.json")})`), {
+      details: leaks.flatMap(e => e.findings.map(x => `${e.path}${x.line ? `:${x.line}` : ""}: ${x.rule} (${e.action})`))
+    });
+  }
+  if (config.site.strict && health.summary.errors) {
+    throw Object.assign(new Error(`Site health check failed (see ${out.rel("ai-site-health.html")})`), {
+      details: health.documents.flatMap(d => d.findings.filter(x => x.level === "error").map(x => `${d.path}: ${x.message}`))
+    });
+  }
+
+  return { files, previous, stats: blobs.stats, secrets: report, health, output };
+}
+
+// ---------------- organization index (several repos) ----------------
+// sources: loadOrgConfig(...).repos. Checkouts are indexed the way buildIndex
+// indexes this repo (summaries, token estimates, secrets masked), with the
+// summaries and history settings of their own ai-packs.config.json (history on
+// when they have none); prebuilt ai-index.json files are taken as they are. Throws (with .details) on bad
+// sources; returns { index, catalog }.
+export function buildOrg(sources, opts){
+  const ctx = resolveOptions(opts);
+  const errors = [], repos = [];
+  sources.forEach((src, i) => {
+    const at = `repos[${i}]`;
+    let idx;
+    if (src.checkout) {
+      if (!git(["rev-parse", "--git-dir"], src.checkout)) { errors.push(`${at}: ${src.checkout} is not a git checkout`); return; }
+      const rctx = resolveOptions({ cwd: src.checkout, repo: src.repo, updatedUtc: ctx.updatedUtc, log: ctx.log, warn: ctx.warn });
+      const files = collectFiles(rctx);
+      let settings = { history: { enabled: true } };
+      if (fs.existsSync(rctx.configPath)) {
+        const config = loadPackConfig(rctx.configPath, files, rctx.outRel);
+        if (config.errors.length) { errors.push(...config.errors.map(e => `${at}: ${e}`)); return; }
+        settings = { history: config.history, summaryExclude: config.summaries.exclude };
+      }
+      idx = buildIndex(files, { ...rctx, ...settings });
+    } else {
+      try { idx = JSON.parse(fs.readFileSync(src.index, "utf8")); }
+      catch (e) { errors.push(`${at}: ${src.index}: ${e.code === "ENOENT" ? "not found" : e.message}`); return; }
+      if (idx?.schema !== "barkday.ai-index.v1" || !Array.isArray(idx.files)) { errors.push(`${at}: ${src.index} is not an ai-index`); return; }
+    }
+    const repo = src.repo || idx.repo;
+    if (!repo) { errors.push(`${at}: cannot tell which repo this is; set "repo"`); return; }
+    const name = src.name || repo.split("/").pop();
+    if (repos.some(r => r.meta.name === name)) { errors.push(`${at}: namespace "${name}" is already used; set "name"`); return; }
+    const pages = src.pages_url ?? pagesUrlFor(repo);
+    repos.push({ files: idx.files, meta: {
+      name, repo, commit: idx.commit || "", ...(idx.default_branch && { default_branch: idx.default_branch }),
+      updated_utc: idx.updated_utc || ctx.updatedUtc, source: src.checkout ? "checkout" : "index",
+      files_count: idx.files.length,
+      total_bytes: idx.files.reduce((a, f) => a + f.size, 0),
+      estimated_tokens: idx.files.reduce((a, f) => a + (f.estimated_tokens || 0), 0),
+      ...(pages && { index_url: `${pages}docs/ai-index.json`, catalog_url: `${pages}docs/ai-pack-catalog.json` })
+    }});
+  });
+  if (errors.length) throw Object.assign(new Error("Invalid org sources"), { details: errors });
+
+  const metas = repos.map(r => r.meta);
+  const files = repos.flatMap(({ files, meta }) => files.map(({ path: p, ...f }) => ({
+    path: `${meta.name}/${p}`, repo: meta.repo, repo_path: p, ...f
+  })));
+  const index = {
+    ...header(ctx, "barkday.ai-org-index.v1"),
+    repos: metas,
+    files_count: files.length,
+    total_bytes: files.reduce((a, f) => a + f.size, 0),
+    files
+  };
+  const catalog = {
+    ...header(ctx, "barkday.ai-org-catalog.v1"),
+    totals: {
+      repos: metas.length, files_count: index.files_count, total_bytes: index.total_bytes,
+      estimated_tokens: metas.reduce((a, r) => a + r.estimated_tokens, 0)
+    },
+    repos: metas
+  };
+  return { index, catalog };
+}
+
+// ai-pack-catalog entries for the org outputs in ctx.outDir, sized from disk so
+// that buildDocs keeps listing them; [] where --org has not run.
+function orgCatalogEntries(ctx){
+  const rel = name => `${ctx.outRel}/${name}`;
+  const sizeOf = name => {
+    const size = { file: rel(name), bytes: fs.statSync(path.join(ctx.outDir, name)).size };
+    for (const [format, c] of Object.entries(COMPRESSIONS)){
+      const variant = path.join(ctx.outDir, `${name}.${c.ext}`);
+      if (fs.existsSync(variant)) size[format] = fs.statSync(variant).size;
+    }
+    return size;
+  };
+  const entries = [];
+  for (const [base, count, extra] of [["ai-org-index", d => d.files_count, []], ["ai-org-catalog", d => d.totals.repos, ["ai-org.html"]]]){
+    let min;
+    try { min = fs.readFileSync(path.join(ctx.outDir, `${base}.min.json`), "utf8"); } catch { continue; }
+    const names = [`${base}.json`, `${base}.min.json`, ...extra].filter(n => fs.existsSync(path.join(ctx.outDir, n)));
+    entries.push({ name: base, count: count(JSON.parse(min)), bytes_min: Buffer.byteLength(min), files: names.map(rel), sizes: names.map(sizeOf) });
+  }
+  return entries;
+}
+
+// Writes ai-org-index, ai-org-catalog and ai-org.html into opts.outDir from the
+// org config at opts.orgConfigPath, and lists them in ai-pack-catalog next to
+// the packs already there. Throws (with .details) like buildDocs.
+export function buildOrgDocs(opts){
+  const ctx = resolveOptions(opts);
+  const file = path.resolve(ctx.cwd, ctx.orgConfigPath || "ai-org.config.json");
+  const config = loadOrgConfig(file);
+  if (config.errors.length) {
+    throw Object.assign(new Error(`Invalid org config (${path.relative(ctx.cwd, file)})`), { details: config.errors });
+  }
+  const { index, catalog } = buildOrg(config.repos, ctx);
+  const out = createWriter(ctx);
+  out.json("ai-org-index", index, ["json", "min.json"], "org_index");
+  out.json("ai-org-catalog", catalog, ["json", "min.json"], "org_catalog");
+  out.html("ai-org", renderOrgHtml(catalog, ctx));
+  let previous = {};
+  try { previous = JSON.parse(fs.readFileSync(path.join(ctx.outDir, "ai-pack-catalog.json"), "utf8")); } catch { /* no buildDocs run yet */ }
+  const org = orgCatalogEntries(ctx);
+  const packs = (previous.packs || []).filter(p => !org.some(e => e.name === p.name));
+  out.json("ai-pack-catalog", buildCatalog([...packs, ...org], ctx, previous.blobs), ["json", "min.json"], "catalog");
+  out.flushSchemas();
+  ctx.log(`Wrote ${out.rel("ai-org-index")}.(json|min.json), ${out.rel("ai-org-catalog")}.(json|min.json) and ${out.rel("ai-org")}.html ` +
+    `(listed in ${out.rel("ai-pack-catalog")}.json): ` +
+    `${catalog.totals.repos} repo(s), ${index.files_count} files`);
+  return { index, catalog };
+}
+
+// ---------------- verify: re-check emitted docs against git ----------------
+// Re-reads every ai-* artifact in opts.outDir and checks schema names and
+// documents, counts, mirrors (json / min.json / txt), blob shas and inline
+// content against `<commit>:<path>` for the commit recorded in each file.
+// Returns [{ file, problems }] in file order.
+export function verifyDocs(opts){
+  const ctx = resolveOptions(opts);
+  const dir = ctx.outDir;
+  const names = fs.readdirSync(dir).filter(n => /^ai-.*\.(json|txt)$/.test(n)).sort();
+  const reports = new Map(names.map(n => [n, []]));
+  const problem = (n, msg) => reports.get(n).push(msg);
+  const read = n => fs.readFileSync(path.join(dir, n), "utf8");
+
+  const trees = new Map(); // commit -> Map(path -> ls-tree entry)
+  const treeAt = c => {
+    if (!trees.has(c)) trees.set(c, new Map(filesFromGitTree(ctx, c).map(f => [f.path, f])));
+    return trees.get(c);
+  };
+  const expectedSchema = base =>
+    /^ai-pack-everything-\d+$/.test(base) ? "barkday.ai-pack-everything.v1" : `barkday.${base}.v1`;
+  const resolveUrl = url => path.resolve(ctx.cwd, url);  // recorded paths are repo-relative
+
+  const content = []; // inline items to compare once all blobs are read
+  function checkItems(n, where, c, items){
+    const tree = treeAt(c);
+    items.forEach((it, i) => {
+      const at = `${where}[${i}] (${it.path})`;
+      const t = tree.get(it.path);
+      if (!t) { problem(n, `${at}: not in the tree at ${c.slice(0,7)}`); return; }
+      if (it.sha !== t.git_blob_sha) problem(n, `${at}: sha ${it.sha} != ${t.git_blob_sha}`);
+      if (it.size !== t.size) problem(n, `${at}: size ${it.size} != ${t.size}`);
+      if (it.inline_state === "none") {
+        if ("content" in it || "blob" in it) problem(n, `${at}: inline_state "none" but content present`);
+      } else content.push({ n, at, c, it });
+    });
+  }
+
+  for (const n of names){
+    const base = n.replace(/(\.min)?\.(json|txt)$/, "");
+    // mirrors: the min.json is authoritative, the others must agree with it
+    if (n !== `${base}.min.json` && names.includes(`${base}.min.json`)) {
+      const min = read(`${base}.min.json`);
+      try {
+        const same = n.endsWith(".txt") ? read(n) === min : JSON.stringify(JSON.parse(read(n))) === min;
+        if (!same) problem(n, `differs from ${base}.min.json`);
+      } catch (e) { problem(n, `unreadable: ${e.message}`); }
+      continue;
+    }
+    if (n.endsWith(".txt")) continue;
+
+    let doc;
+    try { doc = JSON.parse(read(n)); }
+    catch (e) { problem(n, `invalid JSON: ${e.message}`); continue; }
+    if (doc.schema !== expectedSchema(base)) problem(n, `schema "${doc.schema}" != "${expectedSchema(base)}"`);
+    try {
+      const schemaDoc = JSON.parse(read(`schemas/${doc.schema}.schema.json`));
+      for (const e of validate(schemaDoc, doc).slice(0, 20)) problem(n, `schema: ${e}`);
+    } catch { problem(n, `no readable ${ctx.outRel}/schemas/${doc.schema}.schema.json`); }
+    const c = doc.commit || doc.to_commit;
+    if (!c || !treeAt(c).size) { problem(n, `commit ${c || "(missing)"} not found in this repository`); continue; }
+
+    if (base === "ai-index") {
+      const files = doc.files || [];
+      if (doc.files_count !== files.length) problem(n, `files_count ${doc.files_count} != ${files.length}`);
+      const total = files.reduce((a,f)=>a+f.size, 0);
+      if (doc.total_bytes !== total) problem(n, `total_bytes ${doc.total_bytes} != ${total}`);
+      const tree = treeAt(c);
+      if (files.length !== tree.size) problem(n, `${files.length} files listed, ${tree.size} in the tree`);
+      for (const f of files){
+        const t = tree.get(f.path);
+        if (!t) problem(n, `${f.path}: not in the tree`);
+        else if (f.git_blob_sha !== t.git_blob_sha || f.size !== t.size) problem(n, `${f.path}: sha/size differ from the tree`);
+      }
+    } else if (base === "ai-changes") {
+      for (const k of ["added", "removed", "modified", "renamed"]){
+        if (doc.summary?.[k] !== (doc[k] || []).length) problem(n, `summary.${k} != ${k}.length`);
+      }
+    } else if (base === "ai-pack-catalog") {
+      for (const p of doc.packs || []){
+        for (const f of p.files || []) if (!fs.existsSync(resolveUrl(f))) problem(n, `${p.name}: ${f} does not exist`);
+        // recorded sizes, and compressed variants that decompress to the file
+        for (const sz of p.sizes || []){
+          let data;
+          try { data = fs.readFileSync(resolveUrl(sz.file)); } catch { continue; }
+          if (data.length !== sz.bytes) problem(n, `${p.name}: ${sz.file} has ${data.length} bytes, catalog says ${sz.bytes}`);
+          for (const [format, c] of Object.entries(COMPRESSIONS)){
+            if (sz[format] === undefined) continue;
+            const variant = `${sz.file}.${c.ext}`;
+            try {
+              const packed = fs.readFileSync(resolveUrl(variant));
+              if (packed.length !== sz[format]) problem(n, `${p.name}: ${variant} has ${packed.length} bytes, catalog says ${sz[format]}`);
+              if (!c.decompress(packed).equals(data)) problem(n, `${p.name}: ${variant} does not decompress to ${sz.file}`);
+            } catch (e) { problem(n, `${p.name}: ${variant} unreadable: ${e.message}`); }
+          }
+        }
+      }
+    } else if (base === "ai-pack-everything.manifest") {
+      const shardTokens = (doc.shards || []).reduce((t, s) => t + s.estimated_tokens, 0);
+      if (doc.estimated_tokens !== shardTokens) problem(n, `estimated_tokens ${doc.estimated_tokens} != sum over shards ${shardTokens}`);
+      for (const s of doc.shards || []){
+        for (const url of [s.url_json, s.url_txt].filter(Boolean)){
+          if (!fs.existsSync(resolveUrl(url))) { problem(n, `${s.name}: ${url} does not exist`); continue; }
+          try {
+            const shard = JSON.parse(fs.readFileSync(resolveUrl(url), "utf8"));
+            if (shard.count !== s.count) problem(n, `${s.name}: count ${s.count} != shard count ${shard.count}`);
+            if (shard.commit !== c) problem(n, `${s.name}: shard commit ${shard.commit} != ${c}`);
+          } catch (e) { problem(n, `${s.name}: ${url} unreadable: ${e.message}`); }
+        }
+        if (s.url_md && !fs.existsSync(resolveUrl(s.url_md))) problem(n, `${s.name}: ${s.url_md} does not exist`);
+      }
+      for (const cf of doc.chunked_files || []){
+        // chunks must tile the whole file, in index order
+        let next = 0;
+        cf.chunks.forEach((ch, i) => {
+          if (ch.index !== i || ch.byte_start !== next) problem(n, `chunked_files ${cf.path}: chunk ${i} does not continue at byte ${next}`);
+          next = ch.byte_end;
+          if (!(doc.shards || []).some(s => s.name === ch.shard)) problem(n, `chunked_files ${cf.path}: unknown shard ${ch.shard}`);
+        });
+        if (next !== cf.size) problem(n, `chunked_files ${cf.path}: chunks end at byte ${next}, file has ${cf.size}`);
+      }
+    } else if (base === "ai-graph") {
+      const tree = treeAt(c);
+      const edges = doc.edges || [];
+      if (doc.summary?.edges !== edges.length) problem(n, `summary.edges ${doc.summary?.edges} != ${edges.length}`);
+      if (doc.summary?.missing !== edges.filter(e => e.missing).length) problem(n, "summary.missing differs from the edges");
+      if ((doc.nodes || []).length !== tree.size) problem(n, `${(doc.nodes || []).length} nodes, ${tree.size} files in the tree`);
+      for (const e of edges){
+        if (!tree.has(e.from)) problem(n, `edge from ${e.from}: not in the tree`);
+        if (!e.missing && !tree.has(e.to)) problem(n, `edge ${e.from} -> ${e.to}: target not in the tree`);
+      }
+    } else if (base === "ai-org-index" || base === "ai-org-catalog") {
+      // other repos' trees are not available here: check the totals only
+      const repos = doc.repos || [];
+      const files = base === "ai-org-index" ? doc.files || [] : null;
+      const fileCount = files ? files.length : doc.totals?.files_count;
+      if (repos.reduce((a, r) => a + r.files_count, 0) !== fileCount) problem(n, `repos[].files_count do not add up to ${fileCount}`);
+      if (files) for (const r of repos){
+        const own = files.filter(f => f.repo === r.repo && f.path.startsWith(`${r.name}/`)).length;
+        if (own !== r.files_count) problem(n, `${r.name}: ${own} files listed, files_count ${r.files_count}`);
+      }
+    } else if (base === "ai-site-health") {
+      const tree = treeAt(c);
+      const all = (doc.documents || []).flatMap(d => d.findings || []);
+      for (const level of ["error", "warning"]){
+        const count = all.filter(x => x.level === level).length;
+        if (doc.summary?.[`${level}s`] !== count) problem(n, `summary.${level}s ${doc.summary?.[`${level}s`]} != ${count}`);
+      }
+      for (const d of doc.documents || []) if (!tree.has(d.path)) problem(n, `${d.path}: not in the tree`);
+    } else if (base === "ai-secrets-report") {
+      const tree = treeAt(c);
+      for (const k of ["masked", "withheld", "denied"]){
+        const count = (doc.files || []).filter(e => e.action === k).length;
+        if (doc.summary?.[k] !== count) problem(n, `summary.${k} ${doc.summary?.[k]} != ${count}`);
+      }
+      for (const e of doc.files || []){
+        const t = tree.get(e.path);
+        if (!t || t.git_blob_sha !== e.sha) problem(n, `${e.path}: sha differs from the tree`);
+      }
+    } else if (doc.sections) {
+      for (const [name, sec] of Object.entries(doc.sections)){
+        if (sec.count !== (sec.items || []).length) problem(n, `sections.${name}.count ${sec.count} != ${(sec.items || []).length}`);
+        checkItems(n, `sections.${name}.items`, c, sec.items || []);
+      }
+    } else if (Array.isArray(doc.items)) {
+      if (doc.count !== doc.items.length) problem(n, `count ${doc.count} != ${doc.items.length}`);
+      checkItems(n, "items", c, doc.items);
+    } else if (Array.isArray(doc.files)) {
+      if (doc.count !== doc.files.length) problem(n, `count ${doc.count} != ${doc.files.length}`);
+      const tree = treeAt(c);
+      for (const f of doc.files){
+        const t = tree.get(f.path);
+        if (!t || t.git_blob_sha !== f.sha) problem(n, `${f.path}: sha differs from the tree`);
+      }
+    }
+  }
+
+  const blobs = gitCatFileBatch(ctx.cwd, [...new Set(content.map(({ c, it }) => `${c}:${it.path}`))]);
+  for (const entry of content){
+    const { n, at, c } = entry;
+    let { it } = entry;
+    const buf = blobs.get(`${c}:${it.path}`);
+    if (!buf) { problem(n, `${at}: could not read ${c.slice(0,7)}:${it.path}`); continue; }
+    if (it.blob) {
+      // stored by reference: the blob must hash to its name and hold the item's content
+      let data = null;
+      try { data = fs.readFileSync(resolveUrl(it.blob.url)); } catch { /* reported below */ }
+      if (!data) { problem(n, `${at}: blob ${it.blob.url} does not exist`); continue; }
+      if (sha256(data) !== it.blob.sha256 || data.length !== it.blob.bytes) problem(n, `${at}: blob ${it.blob.url} does not match its sha256/bytes`);
+      it = fromReference(it, () => data);
+    }
+    if (it.content_sha256 !== sha256(buf)) problem(n, `${at}: content_sha256 mismatch`);
+    if (typeof it.content !== "string") { problem(n, `${at}: content missing`); continue; }
+    if (it.inline_bytes !== it.content.length) problem(n, `${at}: inline_bytes ${it.inline_bytes} != ${it.content.length}`);
+    const encoding = it.encoding === "base64" ? "base64" : "utf8";
+    const masked = Array.isArray(it.redactions);  // secrets replaced by "*" in place
+    if (it.chunk) {
+      const { byte_start: start, byte_end: end } = it.chunk;
+      if (!(start >= 0 && end > start && end <= buf.length)) { problem(n, `${at}: chunk range ${start}-${end} outside the file`); continue; }
+      const emitted = masked ? Buffer.from(it.content, encoding) : buf.subarray(start, end);
+      if (it.chunk.sha256 !== sha256(emitted)) problem(n, `${at}: chunk sha256 mismatch`);
+    }
+    if (masked) {
+      // byte for byte, except "*" may stand in for anything but a line break
+      const emitted = Buffer.from(it.content, encoding);
+      const start = it.chunk ? it.chunk.byte_start : 0;
+      const src = buf.subarray(start, it.chunk ? it.chunk.byte_end : it.inline_state === "preview" ? start + emitted.length : buf.length);
+      const same = emitted.length === src.length && emitted.every((b, i) => b === src[i] || (b === 42 && src[i] !== 10 && src[i] !== 13));
+      if (!same) problem(n, `${at}: ${it.inline_state} content differs from git outside masked spans`);
+      continue;
+    }
+    const expected = it.chunk ? buf.toString(encoding, it.chunk.byte_start, it.chunk.byte_end)
+      : it.inline_state === "preview" ? previewText(buf, it.preview_text_bytes)
+      : buf.toString(encoding);
+    if (it.content !== expected) problem(n, `${at}: ${it.inline_state} content differs from git`);
+  }
+
+  return [...reports].map(([n, problems]) => ({ file: `${ctx.outRel}/${n}`, problems }));
+}
+
+// ---------------- serve: local preview of the working tree ----------------
+// Snapshots of the working tree as commits, so the usual `<commit>:<path>`
+// pipeline builds uncommitted edits: tracked files as they are on disk
+// (untracked files are left out) go through a private index file and
+// commit-tree. The real index, HEAD and refs are untouched; the snapshot
+// objects are unreferenced and left to git gc. Returns () -> { commit, head, dirty }
+// with commit === head when nothing differs.
+function workingTreeSnapshots(cwd, indexFile){
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+  let base = "", tree = "", commit = "";
+  return () => {
+    const head = git(["rev-parse", "--verify", "--quiet", "HEAD^{commit}"], cwd);
+    if (!head) throw new Error(`serve: ${cwd} has no commits to preview`);
+    // a fresh index hashes every file once; after that `add -u` only rehashes what changed on disk
+    if (head !== base) { git(["read-tree", head], cwd, { env }); base = head; tree = ""; }
+    git(["add", "-u", "--", ":/"], cwd, { env });
+    const next = git(["write-tree"], cwd, { env });
+    if (!next) throw new Error("serve: could not snapshot the working tree");
+    if (next !== tree) {
+      tree = next;
+      commit = next === git(["rev-parse", `${head}^{tree}`], cwd) ? head : git(["commit-tree", next, "-p", head, "-m", "Working tree (uncommitted changes)"], cwd, {
+        env: { ...env, GIT_AUTHOR_NAME: "ai-serve", GIT_AUTHOR_EMAIL: "ai-serve@localhost", GIT_COMMITTER_NAME: "ai-serve", GIT_COMMITTER_EMAIL: "ai-serve@localhost" }
+      });
+    }
+    return { commit, head, dirty: commit !== head };
+  };
+}
+
+const SERVE_TYPES = {
+  html: "text/html; charset=utf-8", json: "application/json; charset=utf-8",
+  txt: "text/plain; charset=utf-8", md: "text/markdown; charset=utf-8", gz: "application/gzip"
+};
+
+// Builds the working tree into a temp dir and serves it on 127.0.0.1
+// (opts.port, default 8000; 0 picks a free one). Outputs are served under
+// /docs/ with their GitHub raw/blob/Pages links pointing back at the server,
+// /view/<path> shows a file as the packs inline it and /raw/<path> its bytes.
+// Tracked files are polled every opts.interval ms (default 1000) and a change
+// rebuilds; a failed build (bad config, strict checks) is shown on / while the
+// last outputs stay up. Rejects (temp dir removed) when the first snapshot
+// fails or the port is taken. Resolves to { url, server, state, poll, close }; poll()
+// checks for changes right away and close() stops the server and removes the temp dir.
+export async function serveDocs(opts){
+  const ctx = resolveOptions(opts);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ai-serve-"));
+  const outDir = path.join(tmp, "docs");
+  const snapshot = workingTreeSnapshots(ctx.cwd, path.join(tmp, "index"));
+  const state = { commit: "", head: "", dirty: false, built_at: "", ms: 0, error: null, files: [], pages: [], inlined: new Map() };
+  let bctx = ctx;
+
+  function rebuild(snap){
+    const started = Date.now();
+    // a fresh resolve per build: the snapshot commit, a new timestamp, per-file lines kept quiet
+    bctx = resolveOptions({ ...opts, [RESOLVED]: false, commit: snap.commit, branch: ctx.branch, outDir, outRel: ctx.outRel, log: () => {} });
+    try { buildDocs(bctx); state.error = null; }
+    catch (e) { state.error = { message: e.message, details: e.details || [] }; }
+    try { state.files = JSON.parse(fs.readFileSync(path.join(outDir, "ai-index.json"), "utf8")).files; } catch { state.files = []; }
+    state.pages = fs.existsSync(outDir) ? fs.readdirSync(outDir).filter(n => n.endsWith(".html")).sort() : [];
+    state.inlined = fs.existsSync(outDir) ? inlinedFiles(outDir) : new Map();
+    Object.assign(state, snap, { built_at: bctx.updatedUtc, ms: Date.now() - started });
+    ctx.log(`Built ${snap.commit.slice(0, 7)}${snap.dirty ? " (uncommitted changes)" : ""} in ${state.ms} ms` +
+      (state.error ? `: ${state.error.message}` : ""));
+    for (const d of state.error?.details.slice(0, 20) || []) ctx.log(`  - ${d}`);
+  }
+  function poll(){
+    const snap = snapshot();
+    if (snap.commit !== state.commit) rebuild(snap);
+    return state;
+  }
+
+  function send(res, status, type, body){
+    res.writeHead(status, { "content-type": type, "cache-control": "no-store" });
+    res.end(body);
+  }
+  function handle(req, res){
+    const route = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    if (route === "/") return send(res, 200, SERVE_TYPES.html, renderServeIndexHtml(state));
+    if (route.startsWith("/docs/")) {
+      const file = path.join(outDir, route.slice("/docs/".length));
+      if (!file.startsWith(outDir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return send(res, 404, SERVE_TYPES.txt, `not built: ${route}`);
+      }
+      const ext = file.slice(file.lastIndexOf(".") + 1);
+      const type = SERVE_TYPES[ext];
+      if (!type || ext === "gz") return send(res, 200, type || "application/octet-stream", fs.readFileSync(file));
+      return send(res, 200, type, rewriteLinks(fs.readFileSync(file, "utf8"), bctx));
+    }
+    const rel = route.replace(/^\/(raw|view)\//, "");
+    const file = rel !== route && state.files.find(f => f.path === rel);
+    if (!file) return send(res, 404, SERVE_TYPES.txt, `not a tracked file: ${route}`);
+    if (route.startsWith("/view/")) return send(res, 200, SERVE_TYPES.html, renderViewerHtml(file, state.inlined.get(rel), bctx));
+    const name = `${state.commit}:${rel}`;
+    const buf = gitCatFileBatch(ctx.cwd, [name]).get(name);
+    return buf ? send(res, 200, mediaTypeFor(rel), buf) : send(res, 404, SERVE_TYPES.txt, `not readable: ${rel}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    try { handle(req, res); }
+    catch (e) { send(res, 500, SERVE_TYPES.txt, e.message); }
+  });
+  // nothing to clean up later when the first snapshot or listen (port in use) fails
+  try {
+    poll();
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(opts.port ?? 8000, "127.0.0.1", resolve);
+    });
+  } catch (e) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw e;
+  }
+  const timer = setInterval(() => {
+    try { poll(); } catch (e) { ctx.warn(e.message); }
+  }, opts.interval || 1000);
+  timer.unref();
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    server, state, poll,
+    close(){
+      clearInterval(timer);
+      server.closeAllConnections?.();
+      return new Promise(resolve => server.close(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+        resolve();
+      }));
+    }
+  };
+}
@@ -0,0 +1,709 @@
+// scripts/ai_index.test.mjs
+// node --test scripts/
+// Builds small throwaway git repos with known contents and checks what the
+// index builder makes of them. Limits are scaled down via a fixture config so
+// the fixtures stay a few KB.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import { fileURLToPath } from "node:url";
+import {
+  collectFiles, buildIndex, buildRecent, buildPack, buildEverythingShards, buildSearchIndex, buildGraph, buildSiteHealth,
+  buildDocs, buildOrgDocs, verifyDocs, serveDocs, loadPackConfig, createBlobStore
+} from "./ai_index.mjs";
+
+const LIMITS = { max_text_bytes: 1024, max_bin_bytes: 512, preview_text_bytes: 100, always_full: [] };
+const tmpDirs = [];
+after(() => { for (const d of tmpDirs) fs.rmSync(d, { recursive: true, force: true }); });
+
+// files: { "repo/path": string | Buffer } -> { dir, opts } with one commit
+function fixtureRepo(files){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-index-test-"));
+  tmpDirs.push(dir);
+  const git = (...args) => execFileSync("git", args, { cwd: dir, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+  git("init", "-q");
+  for (const [p, body] of Object.entries(files)){
+    fs.mkdirSync(path.dirname(path.join(dir, p)), { recursive: true });
+    fs.writeFileSync(path.join(dir, p), body);
+  }
+  git("add", "-A");
+  git("-c", "user.name=Fixture", "-c", "user.email=fixture@example.com", "commit", "-qm", "fixture");
+  return { dir, git, opts: { cwd: dir, repo: "owner/fixture", outDir: "out", updatedUtc: "2024-01-01T00:00:00.000Z" } };
+}
+
+// config file outside the fixture so it is not part of the indexed tree
+function fixtureConfig(fx, everything = {}, extra = {}){
+  const file = path.join(fx.dir, "..", `${path.basename(fx.dir)}.config.json`);
+  tmpDirs.push(file);
+  fs.writeFileSync(file, JSON.stringify({
+    inline: LIMITS,
+    lists: [],
+    packs: [{ name: "ai-pack-fixture", title: "everything in the fixture", include: ["**"] }],
+    everything: { exclude: ["out/**"], shard_target_bytes: 1 << 20, shard_max_items: 500, ...everything },
+    all: { packs: ["ai-pack-fixture"] },
+    ...extra
+  }));
+  fx.opts.configPath = file;
+  const config = loadPackConfig(file, collectFiles(fx.opts));
+  assert.deepEqual(config.errors, []);
+  return config;
+}
+
+const sha256 = buf => crypto.createHash("sha256").update(buf).digest("hex");
+const text = (n, ch = "a") => ch.repeat(n);
+const bin = n => Buffer.from(Array.from({ length: n }, (_, i) => (i * 7 + 3) % 256));
+const byPath = items => Object.fromEntries(items.map(it => [it.path, it]));
+
+// ---------------- ai-index ----------------
+test("ai-index lists every tracked file with git sizes and blob shas", () => {
+  const fx = fixtureRepo({
+    "README.md": "# hi\n",
+    "with space/a b.txt": "spaced\n",
+    "données/été.md": "unicode path\n",
+    "img/logo.png": bin(64)
+  });
+  const files = collectFiles(fx.opts);
+  const index = buildIndex(files, fx.opts);
+
+  assert.equal(index.schema, "barkday.ai-index.v1");
+  assert.equal(index.commit, fx.git("rev-parse", "HEAD"));
+  assert.equal(index.files_count, 4);
+  assert.deepEqual(index.files.map(f => f.path).sort(),
+    ["README.md", "données/été.md", "img/logo.png", "with space/a b.txt"].sort());
+  assert.equal(index.total_bytes, 5 + 7 + 13 + 64);
+  for (const f of index.files){
+    assert.equal(f.git_blob_sha, fx.git("rev-parse", `HEAD:${f.path}`), f.path);
+  }
+  const uni = index.files.find(f => f.path === "données/été.md");
+  assert.equal(uni.size, Buffer.byteLength("unicode path\n"));
+  assert.match(uni.raw_url, /\/donn%C3%A9es\/%C3%A9t%C3%A9\.md$/);
+  assert.equal(byPath(index.files)["img/logo.png"].media_type, "image/png");
+});
+
+// ---------------- git history ----------------
+test("history comes from one git log: last commit, count, first seen; ai-recent is newest first", () => {
+  const fx = fixtureRepo({ "README.md": "# hi\n", "a.md": "one\n", "c.md": "moved later\n" });
+  const commitAt = (date, msg) => execFileSync("git", ["-c", "user.name=Fixture", "-c", "user.email=fixture@example.com", "commit", "-qam", msg], {
+    cwd: fx.dir, env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+  fs.writeFileSync(path.join(fx.dir, "a.md"), "two\n");
+  commitAt("2030-01-01T00:00:00Z", "second");
+  fs.writeFileSync(path.join(fx.dir, "a.md"), "three\n");
+  fs.writeFileSync(path.join(fx.dir, "b.md"), "new\n");
+  fx.git("add", "b.md");
+  fx.git("mv", "c.md", "d.md");
+  commitAt("2030-02-01T12:00:00+02:00", "third: add b, move c");
+  const [head, first] = [fx.git("rev-parse", "HEAD"), fx.git("log", "-1", "--format=%aI", "HEAD~2")];
+
+  const files = buildIndex(collectFiles(fx.opts), { ...fx.opts, history: { enabled: true, exclude: [/^README\.md$/] } }).files;
+  const h = Object.fromEntries(files.map(f => [f.path, f.history]));
+  assert.deepEqual(h["a.md"], { commit: head, date: "2030-02-01T12:00:00+02:00", subject: "third: add b, move c", commits: 3, first_seen: first });
+  assert.equal(h["d.md"].commits, 1, "renames are not followed");
+  assert.equal(h["d.md"].first_seen, "2030-02-01T12:00:00+02:00");
+  assert.equal(h["README.md"], undefined, "excluded");
+
+  const recent = buildRecent(files, 2, fx.opts);
+  assert.deepEqual(recent.files.map(f => f.path), ["a.md", "b.md"]);
+  assert.equal(recent.count, 2);
+  assert.equal(buildIndex(collectFiles(fx.opts), fx.opts).files.some(f => f.history), false, "off unless asked for");
+});
+
+// ---------------- inline thresholds ----------------
+test("pack items are inlined in full, previewed or left as metadata per limits", () => {
+  const bigJson = JSON.stringify(Array.from({ length: 200 }, (_, i) => ({ id: i, name: `dog ${i}` })));
+  const fx = fixtureRepo({
+    "small.md": text(LIMITS.max_text_bytes),
+    "large.md": text(LIMITS.max_text_bytes + 1, "b"),
+    "unicode.md": "héllo wörld ✓\n",
+    "data/big.json": bigJson,
+    "data/big-object.json": JSON.stringify({ a: text(600), b: text(600), c: 1 }),
+    "img/small.png": bin(LIMITS.max_bin_bytes),
+    "img/large.png": bin(LIMITS.max_bin_bytes + 1)
+  });
+  const config = fixtureConfig(fx);
+  const items = byPath(buildPack(config.packs[0], collectFiles(fx.opts), fx.opts).items);
+
+  assert.equal(items["small.md"].inline_state, "full");
+  assert.equal(items["small.md"].content, text(LIMITS.max_text_bytes));
+  assert.equal(items["unicode.md"].content, "héllo wörld ✓\n");
+  assert.equal(items["unicode.md"].content_sha256, sha256(Buffer.from("héllo wörld ✓\n")));
+
+  const large = items["large.md"];
+  assert.equal(large.inline_state, "preview");
+  assert.equal(large.content, text(LIMITS.preview_text_bytes, "b"));
+  assert.equal(large.inline_bytes, LIMITS.preview_text_bytes);
+  assert.equal(large.content_sha256, sha256(Buffer.from(text(LIMITS.max_text_bytes + 1, "b"))), "hash covers the full file");
+  assert.equal(large.json_hint, undefined);
+
+  const json = items["data/big.json"];
+  assert.equal(json.inline_state, "preview");
+  assert.equal(json.content, bigJson.slice(0, LIMITS.preview_text_bytes));
+  assert.deepEqual(json.json_hint, { type: "array", length: 200, sample: [
+    { id: 0, name: "dog 0" }, { id: 1, name: "dog 1" }, { id: 2, name: "dog 2" }
+  ] });
+  assert.deepEqual(items["data/big-object.json"].json_hint, { type: "object", keys: ["a", "b", "c"] });
+
+  const png = items["img/small.png"];
+  assert.equal(png.inline_state, "full");
+  assert.equal(png.encoding, "base64");
+  assert.deepEqual(Buffer.from(png.content, "base64"), bin(LIMITS.max_bin_bytes));
+
+  const none = items["img/large.png"];
+  assert.equal(none.inline_state, "none");
+  for (const k of ["content", "encoding", "inline_bytes", "content_sha256"]) assert.ok(!(k in none), k);
+});
+
+test("always_full inlines matching text past max_text_bytes", () => {
+  const fx = fixtureRepo({ "docs/long.md": text(LIMITS.max_text_bytes * 2), "long.md": text(LIMITS.max_text_bytes * 2) });
+  const config = fixtureConfig(fx);
+  const entry = { ...config.packs[0], inline: { ...config.packs[0].inline, always_full: [/^docs\//] } };
+  const items = byPath(buildPack(entry, collectFiles(fx.opts), fx.opts).items);
+  assert.equal(items["docs/long.md"].inline_state, "full");
+  assert.equal(items["long.md"].inline_state, "preview");
+});
+
+test("previews stop before a UTF-8 character that does not fit", () => {
+  // 99 ASCII bytes then "é" (2 bytes) straddling preview_text_bytes = 100
+  const body = text(99) + "é" + text(LIMITS.max_text_bytes);
+  const fx = fixtureRepo({ "big.md": body });
+  const config = fixtureConfig(fx);
+  const [item] = buildPack(config.packs[0], collectFiles(fx.opts), fx.opts).items;
+  assert.equal(item.inline_state, "preview");
+  assert.equal(item.content, text(99));
+});
+
+test("large_text chunks reassemble to the exact file across shards", () => {
+  const lines = Array.from({ length: 80 }, (_, i) => `ligne ${i} — été ✓\n`).join("");
+  const fx = fixtureRepo({ "a.md": "small\n", "log.md": lines, "z.md": "tail\n" });
+  const config = fixtureConfig(fx, { shard_target_bytes: 600, inline: { ...LIMITS, large_text: "chunks", chunk_text_bytes: 256 } });
+  const { shards, manifest } = buildEverythingShards(collectFiles(fx.opts), config.everything, fx.opts);
+
+  const chunks = shards.flatMap(s => s.pack.items).filter(it => it.path === "log.md");
+  assert.ok(shards.length > 1);
+  assert.ok(chunks.length > 1);
+  chunks.forEach((it, i) => {
+    assert.equal(it.inline_state, "chunk");
+    assert.equal(it.chunk.index, i);
+    assert.equal(it.chunk.count, chunks.length);
+    assert.ok(it.chunk.byte_end - it.chunk.byte_start <= 256);
+    assert.ok(it.content.endsWith("\n"), "cut on a line boundary");
+    assert.equal(it.chunk.sha256, sha256(Buffer.from(it.content)));
+  });
+  assert.equal(chunks.map(it => it.content).join(""), lines);
+
+  const [entry] = manifest.chunked_files;
+  assert.equal(entry.path, "log.md");
+  assert.equal(entry.content_sha256, sha256(Buffer.from(lines)));
+  assert.deepEqual(entry.chunks.map(c => c.byte_start), chunks.map(it => it.chunk.byte_start));
+  assert.ok(new Set(entry.chunks.map(c => c.shard)).size > 1, "chunks span shards");
+  assert.match(manifest.reassembly, /concatenate/);
+});
+
+// ---------------- structural summaries ----------------
+test("index files and pack items carry JSON/YAML schemas and Markdown outlines", () => {
+  const fx = fixtureRepo({
+    "data/dogs.json": JSON.stringify([{ name: "Rex", size: "s" }, { name: "Ada", size: "l", age: 3 }, { name: "Bo", size: "s" }]),
+    "data/site.yml": "title: Barkday\nnav:\n  - label: Home\n    href: /\n  - label: About\n    href: /about\n",
+    "docs/guide.md": "---\ntitle: Guide\n---\n# Guide\n\n```\n# not a heading\n```\n## Setup\nIntro\n-----\n",
+    "img/a.png": bin(10)
+  });
+  const config = fixtureConfig(fx);
+  const index = byPath(buildIndex(collectFiles(fx.opts), fx.opts).files);
+
+  assert.deepEqual(index["data/dogs.json"].summary.schema, {
+    type: "array", min_items: 3, max_items: 3,
+    items: { type: "object", required: ["name", "size"], properties: {
+      name: { type: "string" }, size: { type: "string", enum: ["s", "l"] }, age: { type: "integer" }
+    } }
+  });
+  const yml = index["data/site.yml"].summary;
+  assert.equal(yml.kind, "yaml");
+  assert.deepEqual(yml.schema.properties.nav.items.required, ["label", "href"]);
+  assert.equal(yml.schema.properties.nav.max_items, 2);
+
+  const md = index["docs/guide.md"].summary;
+  assert.deepEqual(md.front_matter, { start_line: 1, end_line: 3, data: { title: "Guide" } });
+  assert.deepEqual(md.outline.map(h => [h.text, h.line, h.children.map(c => [c.text, c.line])]),
+    [["Guide", 4, [["Setup", 9], ["Intro", 10]]]]);
+  assert.equal(index["img/a.png"].summary, undefined);
+
+  const items = byPath(buildPack(config.packs[0], collectFiles(fx.opts), fx.opts).items);
+  assert.deepEqual(items["docs/guide.md"].summary, md);
+});
+
+// ---------------- search index ----------------
+test("search index maps tokens to files and lines, binaries by path only", () => {
+  const fx = fixtureRepo({
+    "a.md": "# Barkday\n---\nParty for dogs\n",
+    "b.txt": "dogs dogs\ncats\n",
+    "img/dogs.png": bin(20),
+    "big.txt": text(300),
+    "long.txt": Array.from({ length: 1000 }, (_, i) => `line${i} ${text(40, "b")}\n`).join("")
+  });
+  const search = buildSearchIndex(collectFiles(fx.opts), { exclude: [], max_file_bytes: 200 }, fx.opts);
+  const at = p => search.files.findIndex(f => f.path === p);
+
+  assert.equal(search.count, 5);
+  assert.deepEqual(search.tokens.dogs, [[at("a.md"), [3]], [at("b.txt"), [1]]]);
+  assert.deepEqual(search.tokens.barkday, [[at("a.md"), [1]]]);
+  assert.deepEqual(search.files[at("a.md")].lines, { 1: "# Barkday", 3: "Party for dogs" }, "only lines tokens point at");
+  assert.equal(search.files[at("img/dogs.png")].indexed, false);
+  assert.equal(search.files[at("big.txt")].indexed, false, "over max_file_bytes");
+
+  const long = collectFiles(fx.opts).filter(f => f.path === "long.txt");
+  const { files: [entry] } = buildSearchIndex(long, { exclude: [], max_file_bytes: 1 << 20 }, fx.opts);
+  const stored = Object.values(entry.lines).join("");
+  assert.ok(Buffer.byteLength(stored) <= 16 * 1024 && stored.length < long[0].size / 2, "snippet text is capped per file");
+  assert.equal(entry.lines[1], `line0 ${text(40, "b")}`);
+});
+
+// ---------------- shard boundaries ----------------
+test("everything shards flush at shard_max_items", () => {
+  const files = Object.fromEntries(Array.from({ length: 7 }, (_, i) => [`f${i}.txt`, `file ${i}\n`]));
+  const fx = fixtureRepo(files);
+  const config = fixtureConfig(fx, { shard_max_items: 3 });
+  const { shards, manifest } = buildEverythingShards(collectFiles(fx.opts), config.everything, fx.opts);
+
+  assert.deepEqual(shards.map(s => s.pack.count), [3, 3, 1]);
+  assert.deepEqual(shards.flatMap(s => s.pack.items.map(it => it.path)), Object.keys(files));
+  assert.deepEqual(manifest.shards.map(s => s.name),
+    ["ai-pack-everything-0001", "ai-pack-everything-0002", "ai-pack-everything-0003"]);
+  assert.equal(manifest.shards[0].url_json, "out/ai-pack-everything-0001.min.json");
+});
+
+test("everything shards flush once inline bytes reach shard_target_bytes", () => {
+  // 400 inline bytes per file: 400, 800, 1200 >= 1000 -> flush after every third item
+  const files = Object.fromEntries(Array.from({ length: 8 }, (_, i) => [`f${i}.md`, text(400)]));
+  const fx = fixtureRepo(files);
+  const config = fixtureConfig(fx, { shard_target_bytes: 1000 });
+  const { shards, manifest } = buildEverythingShards(collectFiles(fx.opts), config.everything, fx.opts);
+
+  assert.deepEqual(shards.map(s => s.pack.count), [3, 3, 2]);
+  for (const s of shards.slice(0, -1)){
+    const bytes = s.pack.items.map(it => it.inline_bytes);
+    assert.ok(bytes.reduce((a, b) => a + b) >= 1000);
+    assert.ok(bytes.slice(0, -1).reduce((a, b) => a + b) < 1000, "flushed on the first item past the target");
+  }
+  assert.deepEqual(manifest.shards.map(s => s.approx_bytes), shards.map(s => Buffer.byteLength(JSON.stringify(s.pack))));
+});
+
+test("metadata-only items do not count towards shard_target_bytes", () => {
+  const fx = fixtureRepo({ "a.bin": bin(2000), "b.bin": bin(2000), "c.md": text(10) });
+  const config = fixtureConfig(fx, { shard_target_bytes: 1000 });
+  const { shards } = buildEverythingShards(collectFiles(fx.opts), config.everything, fx.opts);
+  assert.deepEqual(shards.map(s => s.pack.count), [3]);
+});
+
+test("token mode fills shards up to the budget, priority packs first and minified last", () => {
+  const fx = fixtureRepo({
+    "a.js": "var x=1;".repeat(100),
+    "docs/guide.md": "# Guide\n\nSome words here.\n",
+    "notes.txt": "one two three\n".repeat(20),
+    "src/app.js": "export const answer = 42;\n"
+  });
+  const config = fixtureConfig(fx, { mode: "tokens", shard_token_budget: 400, priority: ["ai-pack-docs"] }, {
+    packs: [
+      { name: "ai-pack-fixture", include: ["**"] },
+      { name: "ai-pack-docs", include: ["docs/**"] }
+    ]
+  });
+  const files = collectFiles(fx.opts);
+  const index = buildIndex(files, fx.opts);
+  for (const f of index.files) assert.ok(f.estimated_tokens > 0, f.path);
+
+  const { shards, manifest } = buildEverythingShards(files, config.everything, fx.opts);
+  assert.deepEqual(shards.flatMap(s => s.pack.items.map(it => it.path)), ["docs/guide.md", "notes.txt", "src/app.js", "a.js"]);
+  assert.ok(shards.length > 1);
+  for (const s of manifest.shards) assert.ok(s.estimated_tokens <= 400 || s.count === 1, s.name);
+  assert.equal(manifest.token_budget, 400);
+  assert.equal(manifest.estimated_tokens, manifest.shards.reduce((a, s) => a + s.estimated_tokens, 0));
+});
+
+// ---------------- reference graph ----------------
+test("graph resolves imports, HTML and manifest references and flags missing files", () => {
+  const fx = fixtureRepo({
+    "index.html": '<link rel="manifest" href="/manifest.json">\n<script type="module" src="js/app.mjs"></script>\n<img src="/logo.png">\n',
+    "manifest.json": JSON.stringify({ start_url: "/", icons: [{ src: "/icon.png" }, { src: "/missing.png" }] }, null, 2),
+    "icon.png": bin(16),
+    "js/app.mjs": 'import { util } from "./util.mjs";\nimport fs from "node:fs";\nimport lib from "some-package";\n'
+      + '// import old from "./old.mjs";\nconst sample = `import x from "./quoted.mjs"`, re = /require\\("x"\\)/;\n',
+    "js/util.mjs": "export const util = 1;\n",
+    "README.md": "See [the app](index.html) and [docs](https://example.com).\n\n```\n[not a link](nowhere.md)\n```\n"
+  });
+  const files = collectFiles(fx.opts);
+  const graph = buildGraph(files, {}, fx.opts);
+  const edges = graph.edges.map(e => `${e.from} ${e.kind} ${e.to}${e.missing ? " missing" : ""}`);
+  assert.deepEqual(edges, [
+    "README.md markdown-link index.html",
+    "index.html link manifest.json",
+    "index.html script js/app.mjs",
+    "index.html image logo.png missing",
+    "js/app.mjs import js/util.mjs",
+    "manifest.json manifest-icon icon.png",
+    "manifest.json manifest-icon missing.png missing",
+    "manifest.json start-url index.html"
+  ]);
+  assert.deepEqual(graph.summary, { nodes: 6, edges: 8, missing: 2 });
+
+  const pack = buildPack({ name: "ai-pack-page", include: [/^index\.html$/], exclude: [], with_deps: true }, files, { ...fx.opts, graph });
+  assert.deepEqual(pack.items.map(it => it.path), ["icon.png", "index.html", "js/app.mjs", "js/util.mjs", "manifest.json"]);
+});
+
+// ---------------- site health ----------------
+test("site health checks manifest icons, start_url scope and assetlinks fields", () => {
+  const png = (w, h) => {
+    const b = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(b);
+    b.write("IHDR", 12, "latin1"); b.writeUInt32BE(w, 16); b.writeUInt32BE(h, 20);
+    return b;
+  };
+  const fx = fixtureRepo({
+    "app/manifest.json": JSON.stringify({
+      name: "App", start_url: "/elsewhere/", scope: "/app/", display: "standalone",
+      icons: [{ src: "icon-192.png", sizes: "192x192", type: "image/png" }, { src: "icon-512.png", sizes: "512x512" }, { src: "/gone.png", sizes: "any" }, { src: "/cdn/logo.png" }, { src: "/soon.png" }]
+    }),
+    "app/icon-192.png": png(192, 192),
+    "app/icon-512.png": png(256, 256),
+    ".well-known/assetlinks.json": JSON.stringify([{
+      relation: ["delegate_permission/common.handle_all_urls"],
+      target: { namespace: "android_app", package_name: "com.example.app", sha256_cert_fingerprints: ["ab:cd"] }
+    }])
+  });
+  const config = fixtureConfig(fx, {}, { graph: { external: ["cdn/**"] }, site: { allow_missing: ["soon.png"] } });
+  const blobs = createBlobStore(fx.opts);
+  const health = buildSiteHealth(collectFiles(fx.opts), config.site, { ...fx.opts, blobs });
+  assert.equal(blobs.stats.batches, 2, "the documents, then the icons they declare");
+  const messages = Object.fromEntries(health.documents.map(d => [d.path, d.findings.map(f => `${f.level} ${f.message}`)]));
+  assert.deepEqual(messages, {
+    ".well-known/assetlinks.json": ['error [0].target.sha256_cert_fingerprints[0] is not 32 upper-case hex bytes separated by ":"'],
+    "app/manifest.json": [
+      'error start_url "/elsewhere/" is outside scope "/app/"',
+      "error icons[1]: app/icon-512.png is 256x256, declared 512x512",
+      "error icons[2]: /gone.png is not in the repository",
+      "warning icons[3]: /cdn/logo.png is served by another site, not checked",
+      "warning icons[4]: /soon.png is not in the repository (allowed missing)"
+    ]
+  });
+  assert.deepEqual(health.summary, { documents: 2, errors: 4, warnings: 2 });
+  assert.throws(() => buildDocs(fx.opts), e => /Site health/.test(e.message) && e.details.length === 4);
+  assert.deepEqual(verifyDocs(fx.opts).filter(r => r.problems.length), []);
+});
+
+// ---------------- full build + catalog ----------------
+test("this repo builds with its own ai-packs.config.json", () => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "ai-index-self-"));
+  tmpDirs.push(out);
+  const cwd = fileURLToPath(new URL("..", import.meta.url));
+  const run = buildDocs({ cwd, outDir: out, outRel: "docs", repo: "owner/site", updatedUtc: "2024-01-01T00:00:00.000Z", warn: () => {} });
+  assert.ok(run.files.some(f => f.path === "ai-packs.config.json"));
+  assert.ok(run.health.documents.some(d => d.path === "manifest.json"));
+  // strict: only the icons listed in site.allow_missing may be missing
+  assert.equal(run.health.summary.errors, 0);
+  assert.equal(run.health.documents.flatMap(d => d.findings).filter(f => /allowed missing/.test(f.message)).length, 3);
+  const catalog = JSON.parse(fs.readFileSync(path.join(out, "ai-pack-catalog.json"), "utf8"));
+  for (const p of catalog.packs) for (const f of p.files) assert.ok(fs.existsSync(path.join(out, f.replace(/^docs\//, ""))), f);
+});
+
+test("buildDocs catalog totals match the emitted files and verify passes", () => {
+  const fx = fixtureRepo({
+    "index.html": "<!doctype html><title>x</title>\n",
+    "data/big.json": JSON.stringify(Array.from({ length: 100 }, (_, i) => i)),
+    "img/a.png": bin(100),
+    "notes/été.md": text(300),
+    ...Object.fromEntries(Array.from({ length: 5 }, (_, i) => [`many/${i}.txt`, `${i}\n`]))
+  });
+  fixtureConfig(fx, { shard_max_items: 4 });
+  const run = buildDocs(fx.opts);
+  assert.equal(run.stats.batches, 1, "every section reads from one cat-file pass");
+  const out = path.join(fx.dir, "out");
+  const read = name => JSON.parse(fs.readFileSync(path.join(out, name), "utf8"));
+  assert.equal(read("ai-index.json").$schema, "https://owner.github.io/fixture/out/schemas/barkday.ai-index.v1.schema.json");
+
+  const catalog = read("ai-pack-catalog.json");
+  const entry = name => catalog.packs.find(p => p.name === name);
+  const pack = read("ai-pack-fixture.json");
+  assert.equal(entry("ai-pack-fixture").count, 9);
+  assert.equal(entry("ai-pack-fixture").count, pack.count);
+  assert.equal(entry("ai-pack-fixture").bytes_min, fs.statSync(path.join(out, "ai-pack-fixture.min.json")).size);
+
+  const manifest = read("ai-pack-everything.manifest.json");
+  assert.deepEqual(manifest.shards.map(s => s.count), [4, 4, 1]);
+  assert.equal(entry("ai-pack-everything (sharded)").count, 9);
+  assert.equal(entry("ai-pack-everything (sharded)").bytes_min, manifest.shards.reduce((a, s) => a + s.approx_bytes, 0));
+
+  const all = read("ai-pack-all.json");
+  assert.equal(entry("ai-pack-all (combined)").count, all.sections["ai-pack-fixture"].count);
+  for (const p of catalog.packs) for (const f of p.files) assert.ok(fs.existsSync(path.join(fx.dir, f)), f);
+
+  const problems = verifyDocs(fx.opts).filter(r => r.problems.length);
+  assert.deepEqual(problems, []);
+
+  // Markdown bundles: TOC + fenced text, binaries by link only
+  assert.ok(entry("ai-pack-fixture").files.includes("out/ai-pack-fixture.md"));
+  const md = fs.readFileSync(path.join(out, "ai-pack-fixture.md"), "utf8");
+  assert.match(md, /^## Contents\n\n1\. `data\/big\.json`/m);
+  assert.match(md, /===== 1\/9 data\/big\.json \| 291 B \| sha [0-9a-f]{12} \| full =====\n\n```json\n\[0,1,2/);
+  assert.match(md, /Binary \(image\/png\): https:\/\/raw\.githubusercontent\.com\/owner\/fixture\/[0-9a-f]+\/img\/a\.png/);
+  assert.ok(manifest.shards.every(s => fs.existsSync(path.join(fx.dir, s.url_md))));
+});
+
+test("a rebuild after committing the outputs ingests none of them", () => {
+  const fx = fixtureRepo({ "README.md": "# hi\n", "src/app.js": "import './util.js';\n", "src/util.js": "export default 1;\n" });
+  fixtureConfig(fx, { exclude: [] }, {
+    lists: [{ name: "ai-every-list", include: ["**"] }],
+    all: { packs: ["ai-pack-fixture"], storage: "reference" },
+    compress: { formats: ["gzip", "br"], min_bytes: 0 }
+  });
+  buildDocs(fx.opts);
+  fx.git("add", "out");
+  fx.git("-c", "user.name=Fixture", "-c", "user.email=fixture@example.com", "commit", "-qm", "regenerate docs");
+  buildDocs(fx.opts);
+  const read = name => JSON.parse(fs.readFileSync(path.join(fx.dir, "out", name), "utf8"));
+  const generated = p => p.startsWith("out/");
+
+  const index = read("ai-index.json").files;
+  assert.ok(index.some(f => generated(f.path)), "outputs are still indexed");
+  assert.ok(index.some(f => f.path.startsWith("out/blobs/")) && index.some(f => /\.(gz|br)$/.test(f.path)),
+    "blobs and compressed variants are committed too");
+  assert.deepEqual(index.filter(f => generated(f.path) && (f.summary || f.history)).map(f => f.path), []);
+  const changes = read("ai-changes.json");
+  assert.deepEqual([...changes.added, ...changes.modified].map(f => f.path), []);
+  assert.deepEqual(read("ai-pack-fixture.json").items.map(it => it.path).filter(generated), []);
+  assert.deepEqual(read("ai-every-list.json").files.map(f => f.path).filter(generated), []);
+  assert.doesNotMatch(fs.readFileSync(path.join(fx.dir, "out", "ai-pack-fixture.md"), "utf8"), /out\/ai-pack-fixture\.md/);
+  const shards = read("ai-pack-everything.manifest.json").shards.flatMap(s => read(`${s.name}.json`).items);
+  assert.deepEqual(shards.map(it => it.path).filter(generated), []);
+  assert.deepEqual(read("ai-search-index.json").files.map(f => f.path).filter(generated), []);
+  assert.deepEqual(read("ai-graph.json").edges.map(e => e.from).filter(generated), []);
+});
+
+test("packs stored by reference share content-addressed blobs; compressed variants are sized in the catalog", () => {
+  const fx = fixtureRepo({
+    "README.md": "# shared by every pack\n",
+    "img/a.png": bin(100),
+    "big.md": text(3000, "x"),
+    "config.js": `const id = "${"AKIA" + "ABCDEFGHIJKLMNOP"}";\n`
+  });
+  const pack = { name: "ai-pack-fixture", title: "everything in the fixture", include: ["**"], storage: "reference" };
+  fixtureConfig(fx, { storage: "reference", inline: { large_text: "chunks", chunk_text_bytes: 1000 } }, {
+    packs: [pack, { ...pack, name: "ai-pack-again", include: ["big.md"], storage: undefined }],
+    all: { packs: ["ai-pack-fixture", "ai-pack-again"], storage: "reference" },
+    compress: { formats: ["gzip", "br"], min_bytes: 0 }
+  });
+  buildDocs(fx.opts);
+  const out = path.join(fx.dir, "out");
+  const read = name => JSON.parse(fs.readFileSync(path.join(out, name), "utf8"));
+
+  const items = byPath(read("ai-pack-fixture.json").items);
+  assert.equal(items["README.md"].content, undefined);
+  assert.equal(items["README.md"].inline_bytes, undefined);
+  const readme = items["README.md"].blob;
+  assert.deepEqual(readme, { sha256: sha256(Buffer.from("# shared by every pack\n")), bytes: 23, url: `out/blobs/${readme.sha256}` });
+  assert.deepEqual(fs.readFileSync(path.join(fx.dir, items["img/a.png"].blob.url)), bin(100), "binaries are stored raw, not base64");
+  assert.equal(fs.readFileSync(path.join(fx.dir, items["config.js"].blob.url), "utf8"), `const id = "${"*".repeat(20)}";\n`,
+    "blobs hold the masked text");
+  assert.equal(read("ai-pack-again.json").items[0].content, text(100, "x"), "inline by default");
+  assert.equal(read("ai-pack-all.json").sections["ai-pack-again"].items[0].blob.sha256, sha256(Buffer.from(text(100, "x"))));
+  const shardChunks = read("ai-pack-everything-0001.json").items.filter(it => it.chunk);
+  assert.equal(shardChunks.length, 3);
+  assert.ok(shardChunks.every(it => it.blob && it.blob.bytes === it.chunk.byte_end - it.chunk.byte_start));
+
+  // one blob per distinct content, however many packs include it
+  const catalog = read("ai-pack-catalog.json");
+  assert.equal(catalog.blobs.count, fs.readdirSync(path.join(out, "blobs")).length);
+  assert.equal(catalog.blobs.count, 5, "README, png, config.js, the big.md preview, and its three identical chunks once");
+
+  const sizes = catalog.packs.find(p => p.name === "ai-pack-fixture").sizes;
+  const min = sizes.find(x => x.file === "out/ai-pack-fixture.min.json");
+  assert.equal(min.bytes, fs.statSync(path.join(out, "ai-pack-fixture.min.json")).size);
+  assert.equal(min.gzip, fs.statSync(path.join(out, "ai-pack-fixture.min.json.gz")).size);
+  assert.deepEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(out, "ai-pack-fixture.min.json.br"))),
+    fs.readFileSync(path.join(out, "ai-pack-fixture.min.json")));
+  assert.deepEqual(verifyDocs(fx.opts).filter(r => r.problems.length), []);
+
+  // rebuilt from the blobs, nothing changes; then inline storage drops them and no compression drops the variants
+  const again = buildDocs(fx.opts);
+  assert.deepEqual(again.output.changed.filter(f => !/ai-(index|changes)|catalog/.test(f)), []);
+  assert.equal(again.stats.reused.size, 2, "README and png read back from blobs/ (masked config.js is not)");
+  fixtureConfig(fx, {}, { packs: [{ ...pack, storage: "inline" }, { ...pack, name: "ai-pack-again", include: ["big.md"], storage: undefined }] });
+  buildDocs(fx.opts);
+  assert.equal(fs.readdirSync(path.join(out, "blobs")).length, 0);
+  assert.equal(fs.readdirSync(out).filter(n => /\.(gz|br)$/.test(n)).length, 0);
+  assert.deepEqual(verifyDocs(fx.opts).filter(r => r.problems.length), []);
+});
+
+test("deterministic builds are byte-identical and ignore commits that only touch outputs", () => {
+  const fx = fixtureRepo({ "README.md": "# hi\n", "data/a.json": "{\"a\":1}\n", "big.md": text(LIMITS.max_text_bytes + 1) });
+  fixtureConfig(fx, {}, { all: { packs: ["ai-pack-fixture"], storage: "reference" } });
+  const opts = { ...fx.opts, updatedUtc: undefined, deterministic: true };
+  const out = path.join(fx.dir, "out");
+  const snapshot = () => Object.fromEntries(fs.readdirSync(out, { recursive: true }).sort()
+    .filter(n => fs.statSync(path.join(out, n)).isFile()).map(n => [n, sha256(fs.readFileSync(path.join(out, n)))]));
+  const source = fx.git("rev-parse", "HEAD");
+
+  const first = buildDocs(opts).output;
+  assert.equal(first.changed.length, first.written);
+  assert.ok(first.changed.some(f => f.startsWith("out/blobs/")), "the docs commit below touches blobs too");
+  const before = snapshot();
+  assert.deepEqual(buildDocs(opts).output.changed, [], "same sources, previous outputs in place");
+  assert.deepEqual(snapshot(), before);
+
+  fx.git("add", "out");
+  fx.git("-c", "user.name=Fixture", "-c", "user.email=fixture@example.com", "commit", "-qm", "regenerate docs");
+  assert.deepEqual(buildDocs(opts).output.changed, [], "a docs-only commit is not a new source");
+  const index = JSON.parse(fs.readFileSync(path.join(out, "ai-index.json"), "utf8"));
+  assert.equal(index.commit, source);
+  assert.equal(index.updated_utc, new Date(Number(fx.git("show", "-s", "--format=%ct", source)) * 1000).toISOString());
+
+  buildDocs({ ...fx.opts, updatedUtc: undefined, sourceDateEpoch: 1700000000 });
+  assert.equal(JSON.parse(fs.readFileSync(path.join(out, "ai-index.json"), "utf8")).updated_utc, "2023-11-14T22:13:20.000Z");
+});
+
+// ---------------- secrets ----------------
+test("likely secrets are masked in place, denied paths withheld, strict mode fails", () => {
+  const key = "AKIA" + "ABCDEFGHIJKLMNOP";
+  const fx = fixtureRepo({
+    "config.js": `const region = "eu";\nconst id = "${key}";\n`,
+    "big.js": `const id = "${key}";\n${text(LIMITS.max_text_bytes)}\n`,
+    ".env": "PORT=8080\n",
+    "safe.md": "API_KEY=${{ secrets.API_KEY }}\n"
+  });
+  const secrets = { deny: ["**/.env"] };
+  fixtureConfig(fx, {}, { secrets });
+  const run = buildDocs(fx.opts);
+  const out = path.join(fx.dir, "out");
+  const packItems = () => byPath(JSON.parse(fs.readFileSync(path.join(out, "ai-pack-fixture.json"), "utf8")).items);
+  const items = packItems();
+
+  assert.equal(items["config.js"].content, `const region = "eu";\nconst id = "${"*".repeat(20)}";\n`);
+  assert.deepEqual(items["config.js"].redactions, [{ rule: "aws-access-key-id", line: 2 }]);
+  assert.equal(items["big.js"].inline_state, "preview");
+  assert.deepEqual(items["big.js"].redactions, [{ rule: "aws-access-key-id", line: 1 }]);
+  assert.equal(items[".env"].inline_state, "none");
+  assert.match(items[".env"].redacted_reason, /denied path/);
+  assert.equal(items["safe.md"].redactions, undefined);
+  assert.ok(!fs.readFileSync(path.join(out, "ai-search-index.json"), "utf8").includes(key));
+  assert.deepEqual(run.secrets.summary, { files: 3, masked: 2, withheld: 0, denied: 1, findings: 2 });
+  assert.deepEqual(verifyDocs(fx.opts).filter(r => r.problems.length), []);
+
+  // a rebuild over the same outputs keeps reporting what it masked
+  assert.deepEqual(buildDocs(fx.opts).secrets.summary, run.secrets.summary);
+  assert.deepEqual(packItems(), items);
+  assert.deepEqual(verifyDocs(fx.opts).filter(r => r.problems.length), []);
+
+  assert.throws(() => buildDocs({ ...fx.opts, strictSecrets: true }), e => e.details.includes("config.js:2: aws-access-key-id (masked)"));
+});
+
+test("assignments to secret-looking keys are masked unless the value is a placeholder or code", () => {
+  // [key, separator, value] so this file does not look like assignments itself
+  const lines = [
+    ["DB_PASSWORD", "=", "correcthorsebatterystaple"],
+    ["SECRET_KEY", "=", "SuperSecretValue"],
+    ["api_key", " = ", '"abcdefghijklmnop"'],
+    ["client_secret", ": ", "my.very.secret.value"],
+    ["API_TOKEN", "=", "${API_TOKEN_FROM_CI}"],
+    ["password", ": ", "process.env.DB_PASSWORD"],
+    ["  token", ": ", "session.access_token,"],
+    ["  secret_fn", ": ", "undefined"]
+  ];
+  const fx = fixtureRepo({ "settings.txt": lines.map(l => l.join("") + "\n").join("") });
+  fixtureConfig(fx);
+  buildDocs(fx.opts);
+  const items = byPath(JSON.parse(fs.readFileSync(path.join(fx.dir, "out", "ai-pack-fixture.json"), "utf8")).items);
+  assert.deepEqual(items["settings.txt"].redactions.map(r => [r.rule, r.line]),
+    [1, 2, 3, 4].map(line => ["env-assignment", line]));
+  assert.match(items["settings.txt"].content, /^api_key = "\*{16}"$/m);
+  assert.match(items["settings.txt"].content, /^  token: session\.access_token,$/m);
+});
+
+// ---------------- org aggregation ----------------
+test("org index namespaces a checkout and a prebuilt index with per-repo totals", () => {
+  const site = fixtureRepo({ "index.html": "<p>site</p>\n", "CNAME": "example.com\n" });
+  const app = fixtureRepo({ "src/app.js": "export default 1;\n", "ai-packs.config.json": '{ "history": { "enabled": false } }\n' });
+  fixtureConfig(site);
+  buildDocs(site.opts);
+  const config = path.join(site.dir, "..", `${path.basename(site.dir)}.org.json`);
+  tmpDirs.push(config);
+  fs.writeFileSync(config, JSON.stringify({ repos: [
+    { index: path.join(site.dir, "out", "ai-index.json") },
+    { checkout: app.dir, repo: "owner/app" }
+  ] }));
+  const { index, catalog } = buildOrgDocs({ ...site.opts, orgConfigPath: config });
+
+  assert.deepEqual(index.files.map(f => [f.path, f.repo, f.repo_path]), [
+    ["fixture/CNAME", "owner/fixture", "CNAME"],
+    ["fixture/index.html", "owner/fixture", "index.html"],
+    ["app/ai-packs.config.json", "owner/app", "ai-packs.config.json"],
+    ["app/src/app.js", "owner/app", "src/app.js"]
+  ]);
+  // the checkout's own config turns history off; this repo's index has it
+  assert.deepEqual(index.files.map(f => !!f.history), [true, true, false, false]);
+  assert.deepEqual(catalog.repos.map(r => [r.name, r.source, r.files_count, r.commit === app.git("rev-parse", "HEAD")]),
+    [["fixture", "index", 2, false], ["app", "checkout", 2, true]]);
+  assert.equal(catalog.totals.files_count, 4);
+  assert.equal(catalog.repos[1].index_url, "https://owner.github.io/app/docs/ai-index.json");
+  assert.ok(fs.existsSync(path.join(site.dir, "out", "ai-org.html")));
+  // listed in the pack catalog, and still listed after the next full build
+  const orgPacks = () => JSON.parse(fs.readFileSync(path.join(site.dir, "out", "ai-pack-catalog.json"), "utf8")).packs
+    .filter(p => p.name.startsWith("ai-org")).map(p => [p.name, p.count, p.files]);
+  const listed = [
+    ["ai-org-index", 4, ["out/ai-org-index.json", "out/ai-org-index.min.json"]],
+    ["ai-org-catalog", 2, ["out/ai-org-catalog.json", "out/ai-org-catalog.min.json", "out/ai-org.html"]]
+  ];
+  assert.deepEqual(orgPacks(), listed);
+  assert.deepEqual(verifyDocs(site.opts).filter(r => r.problems.length), []);
+  buildDocs(site.opts);
+  assert.deepEqual(orgPacks(), listed);
+  assert.deepEqual(verifyDocs(site.opts).filter(r => r.problems.length), []);
+
+  fs.writeFileSync(config, JSON.stringify({ repos: [{ checkout: app.dir, repo: "owner/app" }, { checkout: app.dir, repo: "other/app" }] }));
+  assert.throws(() => buildOrgDocs({ ...site.opts, orgConfigPath: config }), e => e.details.some(d => /namespace "app"/.test(d)));
+});
+
+// ---------------- serve ----------------
+test("serve points links at local routes, highlights inlined files and rebuilds on edits", async () => {
+  const fx = fixtureRepo({ "src/app.js": "// entry\nexport const n = 1;\n", "img/a.png": bin(100), "big.txt": text(2000) });
+  fixtureConfig(fx);
+  const preview = await serveDocs({ ...fx.opts, port: 0, interval: 60000 });
+  const get = async p => {
+    const r = await fetch(new URL(p, preview.url));
+    return { status: r.status, type: r.headers.get("content-type"), body: await r.text() };
+  };
+  try {
+    const pack = JSON.parse((await get("/docs/ai-pack-fixture.json")).body);
+    assert.match(pack.$schema, /^\/docs\/schemas\//);
+    assert.deepEqual([pack.items[2].raw_url, pack.items[2].html_url], ["/raw/src/app.js", "/view/src/app.js"]);
+    assert.ok(!fs.existsSync(path.join(fx.dir, "out")), "nothing is written to the repo");
+
+    const view = (await get("/view/src/app.js")).body;
+    assert.match(view, /<span class="c">\/\/ entry<\/span>\n<span class="k">export<\/span> <span class="k">const<\/span>/);
+    assert.match((await get("/view/big.txt")).body, /Preview \(first 100 B\)/);
+    assert.equal((await get("/raw/img/a.png")).type, "image/png");
+    assert.equal((await get("/docs/..%2F..%2F..%2Fetc%2Fpasswd")).status, 404);
+    assert.equal((await get("/view/missing.js")).status, 404);
+
+    fs.writeFileSync(path.join(fx.dir, "src/app.js"), "export const n = 2;\n");
+    preview.poll();
+    assert.equal(preview.state.dirty, true);
+    assert.match((await get("/view/src/app.js")).body, /n = <span class="n">2<\/span>/);
+    assert.match((await get("/")).body, /plus uncommitted changes/);
+    assert.equal(fx.git("status", "--porcelain"), "M src/app.js", "the real index is untouched");
+
+    const serveDirs = () => fs.readdirSync(os.tmpdir()).filter(n => n.startsWith("ai-serve-")).sort();
+    const before = serveDirs();
+    await assert.rejects(serveDocs({ ...fx.opts, port: preview.server.address().port }), { code: "EADDRINUSE" });
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), "ai-index-test-"));
+    tmpDirs.push(empty);
+    execFileSync("git", ["init", "-q"], { cwd: empty });
+    await assert.rejects(serveDocs({ ...fx.opts, cwd: empty, port: 0 }), /no commits/);
+    assert.deepEqual(serveDirs(), before, "temp dirs of failed starts are removed");
+  } finally {
+    await preview.close();
+  }
+});
@@ -0,0 +1,86 @@
+// scripts/ai_org.mjs
+// Organization-level aggregation: several repositories' indexes combined into
+// one, each repo's paths namespaced under its name. Sources are declared in an
+// org config (e.g. ai-org.config.json) as local checkouts, indexed on the fly,
+// or already-built ai-index.json files:
+//
+//   { "repos": [
+//       { "index": "docs/ai-index.json" },
+//       { "checkout": "../Barkday", "repo": "owner/Barkday" } ] }
+//
+// Paths are relative to the config file. Optional per repo: "repo" (owner/name
+// when git or the index does not say), "name" (namespace, default: the repo
+// name) and "pages_url" (where its docs/ are published).
+
+import fs from "node:fs";
+import path from "node:path";
+import { esc } from "./ai_html.mjs";
+
+const ORG_KEYS = {
+  root: ["$comment", "repos"],
+  repo: ["$comment", "checkout", "index", "repo", "name", "pages_url"]
+};
+
+export function loadOrgConfig(file){
+  const errors = [];
+  const err = (where, msg) => errors.push(`${where}: ${msg}`);
+  const isObj = v => v && typeof v === "object" && !Array.isArray(v);
+
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { return { errors: [`${file}: ${e.code === "ENOENT" ? "not found" : e.message}`], repos: [] }; }
+  if (!isObj(raw)) return { errors: [`${file}: expected an object`], repos: [] };
+  for (const k of Object.keys(raw)) if (!ORG_KEYS.root.includes(k)) err(file, `unknown key "${k}" (allowed: ${ORG_KEYS.root.join(", ")})`);
+  if (!Array.isArray(raw.repos) || !raw.repos.length) { err("repos", "expected a non-empty array"); return { errors, repos: [] }; }
+
+  const base = path.dirname(path.resolve(file));
+  const repos = raw.repos.map((e, i) => {
+    const at = `repos[${i}]`;
+    if (!isObj(e)) { err(at, "expected an object"); return null; }
+    for (const k of Object.keys(e)) if (!ORG_KEYS.repo.includes(k)) err(at, `unknown key "${k}" (allowed: ${ORG_KEYS.repo.join(", ")})`);
+    if ((e.checkout === undefined) === (e.index === undefined)) { err(at, `expected exactly one of "checkout" or "index"`); return null; }
+    for (const k of ["checkout", "index", "repo", "name", "pages_url"]){
+      if (e[k] !== undefined && (typeof e[k] !== "string" || !e[k])) err(`${at}.${k}`, "expected a non-empty string");
+    }
+    if (typeof e.repo === "string" && !/^[^/\s]+\/[^/\s]+$/.test(e.repo)) err(`${at}.repo`, `expected "owner/name"`);
+    if (typeof e.name === "string" && !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(e.name)) err(`${at}.name`, "expected a file-safe name");
+    return {
+      ...(e.checkout !== undefined ? { checkout: path.resolve(base, e.checkout) } : { index: path.resolve(base, e.index) }),
+      repo: e.repo, name: e.name, pages_url: e.pages_url
+    };
+  }).filter(Boolean);
+  return { errors, repos };
+}
+
+// ---------------- ai-org.html ----------------
+export function renderOrgHtml(catalog, ctx){
+  const kb = n => `${(n / 1024).toFixed(1)} KB`;
+  const rows = catalog.repos.map(r => {
+    const links = [
+      `<a href="https://github.com/${esc(r.repo)}/tree/${esc(r.commit)}" target="_blank" rel="noopener">GitHub</a>`,
+      r.index_url && `<a href="${esc(r.index_url)}">ai-index</a>`,
+      r.catalog_url && `<a href="${esc(r.catalog_url)}">catalog</a>`
+    ].filter(Boolean).join(" · ");
+    return `<tr><td><code>${esc(r.name)}/</code></td><td>${esc(r.repo)}</td><td><code>${esc(r.commit.slice(0,7))}</code></td>` +
+      `<td>${esc(r.updated_utc)}</td><td>${r.files_count}</td><td>${kb(r.total_bytes)}</td><td>${r.estimated_tokens}</td><td>${links}</td></tr>`;
+  }).join("\n");
+  const t = catalog.totals;
+  return `<!doctype html><meta charset="utf-8">
+<title>Barkday • ai-org</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  table{width:100%;border-collapse:collapse} th,td{border-bottom:1px solid #eee;padding:8px;text-align:left}
+  code{font-family:ui-monospace,Consolas,monospace}
+  tfoot td{font-weight:600}
+</style>
+<h1>ai-org</h1>
+<p>Every repository indexed together. File paths in <a href="ai-org-index.json">ai-org-index.json</a> are prefixed with the namespace below; <a href="ai-org-catalog.json">ai-org-catalog.json</a> has these totals.</p>
+<p><small>Built from <code>${esc(ctx.repo || "")}</code> at <code>${esc(ctx.commit.slice(0,7))}</code> • ${esc(ctx.updatedUtc)}</small></p>
+<table><thead><tr><th>Namespace</th><th>Repo</th><th>Commit</th><th>Indexed</th><th>Files</th><th>Size</th><th>~Tokens</th><th>Links</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+<tfoot><tr><td colspan="4">${catalog.repos.length} repo(s)</td><td>${t.files_count}</td><td>${kb(t.total_bytes)}</td><td>${t.estimated_tokens}</td><td></td></tr></tfoot>
+</table>`;
+}
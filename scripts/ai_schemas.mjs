@@ -0,0 +1,334 @@
+// scripts/ai_schemas.mjs
+// JSON Schema (draft 2020-12) documents for every barkday.* format emitted by
+// build_ai_index.mjs, plus a small validator for the keywords used below
+// (no npm dependencies, same as the builder).
+
+const DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+const str  = { type: "string" };
+const uint = { type: "integer", minimum: 0 };
+const url  = { type: "string" };
+const blobSha = { type: "string", pattern: "^([0-9a-f]{40})?$" };  // empty outside git
+const sha256  = { type: "string", pattern: "^[0-9a-f]{64}$" };
+
+// fields shared by every artifact (commit/updated_utc live at the top level)
+function header(name, extra = {}){
+  return {
+    $schema: { type: "string", description: "URL of this schema document." },
+    schema:  { const: name, description: "Format identifier." },
+    repo: str, commit: str, updated_utc: str,
+    ...extra
+  };
+}
+const obj = (properties, required, more = {}) => ({
+  type: "object", properties, required, additionalProperties: false, ...more
+});
+
+const INDEX_FILE = {
+  path: str, size: uint, git_blob_sha: blobSha, media_type: str, raw_url: url, html_url: url,
+  summary: { $ref: "#/$defs/summary" },
+  estimated_tokens: { ...uint, description: "Approximate tokens to inline the whole file (base64 for binaries); absent when withheld." },
+  history: { $ref: "#/$defs/history" }
+};
+
+const DEFS = {
+  index_file: obj(INDEX_FILE, ["path", "size", "git_blob_sha", "media_type", "raw_url", "html_url"]),
+
+  org_file: obj({
+    ...INDEX_FILE,
+    path: { ...str, description: "<namespace>/<path in the repo>." },
+    repo: { ...str, description: "owner/name of the repository the file is in." },
+    repo_path: { ...str, description: "Path inside that repository." }
+  }, ["path", "repo", "repo_path", "size", "git_blob_sha", "media_type", "raw_url", "html_url"]),
+
+  org_repo: obj({
+    name: { ...str, description: "Namespace prefix of this repo's paths." },
+    repo: str, commit: str, default_branch: str, updated_utc: str,
+    source: { enum: ["checkout", "index"], description: "checkout: indexed from a local clone; index: a prebuilt ai-index.json." },
+    files_count: uint, total_bytes: uint, estimated_tokens: uint,
+    index_url: url, catalog_url: url
+  }, ["name", "repo", "commit", "updated_utc", "source", "files_count", "total_bytes", "estimated_tokens"]),
+
+  history: obj({
+    commit: { ...str, description: "Last commit that changed this path." },
+    date: { ...str, description: "Author date of that commit (ISO 8601 with offset)." },
+    subject: { ...str, description: "First line of its message." },
+    commits: { ...uint, description: "Non-merge commits that changed this path; renames are not followed." },
+    first_seen: { ...str, description: "Author date of the first commit that added this path." }
+  }, ["commit", "date", "subject", "commits", "first_seen"], { description: "Git history of the path up to the indexed commit." }),
+
+  list_file: obj({
+    path: str, size: uint, sha: blobSha, raw_url: url, html_url: url
+  }, ["path", "size", "sha", "raw_url", "html_url"]),
+
+  json_hint: obj({
+    type: { enum: ["array", "object", "string", "number", "boolean"] },
+    length: uint,
+    sample: { type: "array" },
+    keys: { type: "array", items: str }
+  }, ["type"], { description: "Top-level shape of a JSON file that was only previewed." }),
+
+  summary: obj({
+    kind: { enum: ["json", "yaml", "markdown"] },
+    schema: { $ref: "#/$defs/inferred" },
+    lines: uint,
+    headings: uint,
+    outline: { type: "array", items: { $ref: "#/$defs/heading" } },
+    front_matter: obj({
+      start_line: uint, end_line: uint, data: {}, schema: { $ref: "#/$defs/inferred" }, error: str
+    }, ["start_line", "end_line"]),
+    truncated: { type: "boolean" },
+    error: { ...str, description: "Why no schema/outline could be produced (parse error, size)." }
+  }, ["kind"], { description: "Structural summary: inferred schema for JSON/YAML, heading outline for Markdown." }),
+
+  inferred: obj({
+    type: { type: ["string", "array"], items: str },
+    properties: { type: "object", additionalProperties: { $ref: "#/$defs/inferred" } },
+    required: { type: "array", items: str },
+    items: { $ref: "#/$defs/inferred" },
+    min_items: uint, max_items: uint,
+    enum: { type: "array", description: "Every value seen, when a short string field repeats a few values." },
+    any_of: { type: "array", items: { $ref: "#/$defs/inferred" } },
+    truncated: { type: "boolean" }
+  }, [], { description: "Schema inferred from the values present (JSON-Schema-like)." }),
+
+  heading: obj({
+    level: uint, text: str, line: { ...uint, description: "1-based line number." },
+    children: { type: "array", items: { $ref: "#/$defs/heading" } }
+  }, ["level", "text", "line", "children"]),
+
+  finding: obj({
+    rule: str, line: { ...uint, description: "1-based line (text files only)." }
+  }, ["rule"]),
+
+  chunk: obj({
+    index: uint, count: uint,
+    byte_start: { ...uint, description: "Offset of the first byte of this chunk in the file." },
+    byte_end: { ...uint, description: "Offset just past the last byte (exclusive)." },
+    sha256: { ...sha256, description: "Hash of the bytes [byte_start, byte_end)." }
+  }, ["index", "count", "byte_start", "byte_end", "sha256"],
+    { description: "Position of a chunk item; chunks of a file are consecutive and end on line or character boundaries." }),
+
+  pack_item: obj({
+    path: str, size: uint, sha: blobSha, media_type: str, raw_url: url, html_url: url,
+    inline_state: { enum: ["full", "preview", "chunk", "none"],
+      description: "full: whole file in content; preview: first preview_text_bytes only (cut on a character boundary); chunk: one byte range of the file (see chunk); none: metadata only." },
+    max_inline_text_bytes: uint,
+    max_inline_bin_bytes:  uint,
+    preview_text_bytes: { ...uint, description: "Byte budget of a preview; content_sha256 always hashes the full file." },
+    encoding: { enum: ["utf8", "base64"] },
+    content: str,
+    blob: obj({
+      sha256: { ...sha256, description: "Hash of the stored bytes; also the blob's file name." },
+      bytes: uint,
+      url: { ...str, description: "Repo-relative path of the blob (<out>/blobs/<sha256>)." }
+    }, ["sha256", "bytes", "url"], { description: "Content stored by reference: the raw bytes content would hold (decoded, not base64); inline_bytes is omitted." }),
+    inline_bytes: { ...uint, description: "Length of content in UTF-16 code units (JavaScript string length)." },
+    content_sha256: sha256,
+    estimated_tokens: { ...uint, description: "Approximate tokens of content (local estimate, no tokenizer vocabulary)." },
+    json_hint: { $ref: "#/$defs/json_hint" },
+    chunk: { $ref: "#/$defs/chunk" },
+    summary: { $ref: "#/$defs/summary" },
+    redacted_reason: { ...str, description: "Why content was masked or withheld (likely secret, denied path)." },
+    redactions: { type: "array", items: { $ref: "#/$defs/finding" },
+      description: "Masked spans: content equals the file except that these secrets are replaced by * (newlines kept)." }
+  }, [
+    "path", "size", "sha", "media_type", "raw_url", "html_url", "inline_state",
+    "max_inline_text_bytes", "max_inline_bin_bytes", "preview_text_bytes"
+  ], { dependentRequired: {
+    content: ["encoding", "inline_bytes", "content_sha256", "estimated_tokens"],
+    blob: ["encoding", "content_sha256", "estimated_tokens"]
+  } })
+};
+
+// kind -> (name) -> root schema (without $schema/$id, added by schemaDocument)
+const KINDS = {
+  index: name => obj(header(name, {
+    default_branch: str, files_count: uint, total_bytes: uint,
+    files: { type: "array", items: { $ref: "#/$defs/index_file" } }
+  }), ["schema", "repo", "default_branch", "commit", "updated_utc", "files_count", "total_bytes", "files"]),
+
+  list: name => obj(header(name, {
+    count: uint, files: { type: "array", items: { $ref: "#/$defs/list_file" } }
+  }), ["schema", "repo", "commit", "updated_utc", "count", "files"]),
+
+  recent: name => obj(header(name, {
+    count: uint, files: { type: "array", items: obj({
+      path: str, size: uint, sha: blobSha, raw_url: url, html_url: url, history: { $ref: "#/$defs/history" }
+    }, ["path", "size", "sha", "raw_url", "html_url", "history"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "count", "files"]),
+
+  pack: name => obj(header(name, {
+    count: uint, items: { type: "array", items: { $ref: "#/$defs/pack_item" } }
+  }), ["schema", "repo", "commit", "updated_utc", "count", "items"]),
+
+  manifest: name => obj(header(name, {
+    mode: { enum: ["bytes", "tokens"], description: "bytes: shards cut by inline bytes; tokens: filled up to token_budget in priority order." },
+    token_budget: uint,
+    estimated_tokens: { ...uint, description: "Sum over shards: item content plus metadata, approximate." },
+    shards: { type: "array", items: obj({
+      name: str, count: uint, approx_bytes: uint, estimated_tokens: uint, url_json: str, url_txt: str, url_md: str
+    }, ["name", "count", "approx_bytes", "estimated_tokens"]) },
+    reassembly: { ...str, description: "How to rebuild chunked files from their chunk items." },
+    chunked_files: { type: "array", items: obj({
+      path: str, sha: blobSha, size: uint, content_sha256: sha256, encoding: { enum: ["utf8", "base64"] },
+      chunks: { type: "array", items: obj({
+        index: uint, shard: str, byte_start: uint, byte_end: uint, sha256
+      }, ["index", "shard", "byte_start", "byte_end", "sha256"]) }
+    }, ["path", "sha", "size", "content_sha256", "encoding", "chunks"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "mode", "estimated_tokens", "shards"]),
+
+  all: name => obj(header(name, {
+    sections: { type: "object", additionalProperties: obj({
+      count: uint, items: { type: "array", items: { $ref: "#/$defs/pack_item" } }
+    }, ["count", "items"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "sections"]),
+
+  catalog: name => obj(header(name, {
+    packs: { type: "array", items: obj({
+      name: str, count: uint, bytes_min: uint, estimated_tokens: uint, files: { type: "array", items: str },
+      sizes: { type: "array", items: obj({
+        file: str, bytes: uint,
+        gzip: { ...uint, description: "Size of <file>.gz." },
+        br: { ...uint, description: "Size of <file>.br." }
+      }, ["file", "bytes"]), description: "On-disk size of each file and of its compressed variants, when written." }
+    }, ["name", "count", "bytes_min", "files"]) },
+    blobs: obj({ count: uint, bytes: uint }, ["count", "bytes"], { description: "Content-addressed blobs/ referenced by packs." })
+  }), ["schema", "repo", "commit", "updated_utc", "packs"]),
+
+  search: name => obj(header(name, {
+    count: uint,
+    token_count: uint,
+    files: { type: "array", items: obj({
+      path: str, size: uint, sha: blobSha, raw_url: url, html_url: url,
+      indexed: { type: "boolean", description: "false: searchable by path only (binary, too large or excluded from content search)." },
+      lines: { type: "object", additionalProperties: str,
+        description: "Line number -> text (long lines truncated) for the lines tokens point at, first lines first up to 16 KB per file." }
+    }, ["path", "size", "sha", "raw_url", "html_url", "indexed"]) },
+    tokens: { type: "object", description: "Lowercased token -> [[file index, [line numbers]], ...].",
+      additionalProperties: { type: "array", items: { type: "array" } } }
+  }), ["schema", "repo", "commit", "updated_utc", "count", "token_count", "files", "tokens"]),
+
+  graph: name => obj(header(name, {
+    summary: obj({ nodes: uint, edges: uint, missing: uint }, ["nodes", "edges", "missing"]),
+    nodes: { type: "array", items: obj({
+      path: str, out: { ...uint, description: "References from this file." }, in: { ...uint, description: "Resolved references to it." }
+    }, ["path", "out", "in"]) },
+    edges: { type: "array", items: obj({
+      from: str,
+      to: { ...str, description: "Repo path the reference resolves to (as written, normalized, when missing)." },
+      kind: { enum: ["import", "script", "link", "image", "anchor", "markdown-link", "markdown-image", "manifest-icon", "start-url"] },
+      line: { ...uint, description: "1-based line in the source file." },
+      ref: { ...str, description: "The reference as written." },
+      missing: { type: "boolean", description: "true: no tracked file at that path." }
+    }, ["from", "to", "kind", "line", "ref"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "summary", "nodes", "edges"]),
+
+  org_index: name => obj(header(name, {
+    repos: { type: "array", items: { $ref: "#/$defs/org_repo" } },
+    files_count: uint, total_bytes: uint,
+    files: { type: "array", items: { $ref: "#/$defs/org_file" } }
+  }), ["schema", "repo", "commit", "updated_utc", "repos", "files_count", "total_bytes", "files"]),
+
+  org_catalog: name => obj(header(name, {
+    totals: obj({ repos: uint, files_count: uint, total_bytes: uint, estimated_tokens: uint },
+      ["repos", "files_count", "total_bytes", "estimated_tokens"]),
+    repos: { type: "array", items: { $ref: "#/$defs/org_repo" } }
+  }), ["schema", "repo", "commit", "updated_utc", "totals", "repos"]),
+
+  site_health: name => obj(header(name, {
+    strict: { type: "boolean", description: "Whether errors fail the build." },
+    summary: obj({ documents: uint, errors: uint, warnings: uint }, ["documents", "errors", "warnings"]),
+    documents: { type: "array", items: obj({
+      path: str,
+      kind: { enum: ["manifest", "assetlinks"] },
+      findings: { type: "array", items: obj({
+        level: { enum: ["error", "warning"] },
+        check: { ...str, description: "Which rule: name, display, start_url, scope, icons, relation, package_name, fingerprint, target, json, read." },
+        message: str
+      }, ["level", "check", "message"]) }
+    }, ["path", "kind", "findings"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "strict", "summary", "documents"]),
+
+  secrets: name => obj(header(name, {
+    action: { enum: ["redact", "none"] },
+    strict: { type: "boolean" },
+    summary: obj({
+      files: uint, masked: uint, withheld: uint, denied: uint, findings: uint
+    }, ["files", "masked", "withheld", "denied", "findings"]),
+    files: { type: "array", items: obj({
+      path: str, sha: blobSha, action: { enum: ["masked", "withheld", "denied"] },
+      findings: { type: "array", items: { $ref: "#/$defs/finding" } }
+    }, ["path", "sha", "action", "findings"]) }
+  }), ["schema", "repo", "commit", "updated_utc", "action", "strict", "summary", "files"]),
+
+  changes: name => {
+    const { commit: _commit, ...base } = header(name);  // changes use from/to commits
+    const file = obj({ path: str, size: uint, sha: blobSha, raw_url: url, html_url: url }, ["path", "size", "sha"]);
+    return obj({
+      ...base,
+      from_commit: { type: ["string", "null"], description: "Commit of the previous ai-index, null on the first run." },
+      to_commit: str,
+      summary: obj({
+        added: uint, removed: uint, modified: uint, renamed: uint, unchanged: uint, bytes_delta: { type: "integer" }
+      }, ["added", "removed", "modified", "renamed", "unchanged", "bytes_delta"]),
+      added: { type: "array", items: file },
+      removed: { type: "array", items: file },
+      modified: { type: "array", items: obj({
+        path: str, old_size: uint, size: uint, bytes_delta: { type: "integer" },
+        old_sha: blobSha, sha: blobSha, raw_url: url, html_url: url
+      }, ["path", "old_size", "size", "bytes_delta", "old_sha", "sha"]) },
+      renamed: { type: "array", items: obj({
+        from: str, to: str, size: uint, sha: blobSha, raw_url: url, html_url: url
+      }, ["from", "to", "size", "sha"]) }
+    }, ["schema", "repo", "from_commit", "to_commit", "updated_utc", "summary", "added", "removed", "modified", "renamed"]);
+  }
+};
+
+// Full schema document for an emitted format; id is the URL it is published at.
+export function schemaDocument(kind, name, id){
+  if (!KINDS[kind]) throw new Error(`unknown schema kind "${kind}"`);
+  return { $schema: DRAFT, $id: id, title: name, ...KINDS[kind](name), $defs: DEFS };
+}
+
+// ---------------- validator (subset of 2020-12) ----------------
+// Supports type, const, enum, properties, required, additionalProperties,
+// items, minimum, pattern, dependentRequired and local "#/$defs/..." refs.
+// Returns a list of "<json pointer>: <message>" strings (empty when valid).
+export function validate(schema, value){
+  const errors = [];
+  const typeOf = v => v === null ? "null" : Array.isArray(v) ? "array"
+    : Number.isInteger(v) ? "integer" : typeof v;
+  const isType = (v, t) => t === "number" ? typeof v === "number" : typeOf(v) === t;
+
+  function check(s, v, at){
+    if (s.$ref) {
+      const def = s.$ref.match(/^#\/\$defs\/(.+)$/);
+      if (!def || !schema.$defs?.[def[1]]) { errors.push(`${at}: unresolved $ref ${s.$ref}`); return; }
+      s = schema.$defs[def[1]];
+    }
+    if (s.type) {
+      const types = [].concat(s.type);
+      if (!types.some(t => isType(v, t))) { errors.push(`${at}: expected ${types.join("|")}, got ${typeOf(v)}`); return; }
+    }
+    if ("const" in s && v !== s.const) errors.push(`${at}: expected ${JSON.stringify(s.const)}`);
+    if (s.enum && !s.enum.includes(v)) errors.push(`${at}: expected one of ${s.enum.map(e => JSON.stringify(e)).join(", ")}`);
+    if (typeof v === "number" && s.minimum !== undefined && v < s.minimum) errors.push(`${at}: below minimum ${s.minimum}`);
+    if (typeof v === "string" && s.pattern && !new RegExp(s.pattern).test(v)) errors.push(`${at}: does not match ${s.pattern}`);
+    if (Array.isArray(v) && s.items) v.forEach((x, i) => check(s.items, x, `${at}/${i}`));
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      for (const k of s.required || []) if (!(k in v)) errors.push(`${at}: missing "${k}"`);
+      for (const [k, deps] of Object.entries(s.dependentRequired || {})) {
+        if (k in v) for (const d of deps) if (!(d in v)) errors.push(`${at}: "${k}" requires "${d}"`);
+      }
+      for (const [k, x] of Object.entries(v)) {
+        const ptr = `${at}/${k.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+        if (s.properties?.[k]) check(s.properties[k], x, ptr);
+        else if (s.additionalProperties === false) errors.push(`${at}: unexpected property "${k}"`);
+        else if (s.additionalProperties && typeof s.additionalProperties === "object") check(s.additionalProperties, x, ptr);
+      }
+    }
+  }
+  check(schema, value, "");
+  return errors;
+}
@@ -0,0 +1,165 @@
+// scripts/ai_search.mjs
+// Full-text search over the repo without a server: an inverted index
+// (token -> file -> line numbers) plus the text of the lines it points at for
+// snippets (capped per file, so the index does not repeat the packs), and
+// a self-contained ai-search.html that loads the index and queries it in the
+// browser. Paths are matched by substring on the client.
+
+import { esc } from "./ai_html.mjs";
+
+const TOKEN_SOURCE = "[\\p{L}\\p{N}_]+";   // shared with the page below
+const MIN_TOKEN = 2, MAX_TOKEN = 40;
+const MAX_LINE_CHARS = 300;               // stored snippet text per line
+const MAX_LINES_PER_POSTING = 20;         // line numbers kept per token and file
+const MAX_SNIPPET_BYTES = 16 * 1024;      // stored line text per file
+
+export function tokenize(text){
+  const out = [];
+  for (const [t] of text.toLowerCase().matchAll(new RegExp(TOKEN_SOURCE, "gu"))){
+    if (t.length >= MIN_TOKEN && t.length <= MAX_TOKEN) out.push(t);
+  }
+  return out;
+}
+
+// files: [{ path, size, sha, raw_url, html_url, text? }] where text is set for
+// indexed (text, small enough) files. Returns { files, tokens } ready for JSON:
+// files[i].lines maps line numbers to their (truncated) text for the lines
+// postings point at, first lines first up to MAX_SNIPPET_BYTES; tokens[token]
+// is [[fileIndex, [line, ...]], ...].
+export function invertedIndex(files){
+  const postings = new Map(); // token -> Map(fileIndex -> lines[])
+  const outFiles = files.map((f, i) => {
+    const entry = { path: f.path, size: f.size, sha: f.sha, raw_url: f.raw_url, html_url: f.html_url, indexed: typeof f.text === "string" };
+    if (!entry.indexed) return entry;
+    const lines = f.text.split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+    const referenced = new Set();
+    lines.forEach((line, n) => {
+      for (const t of new Set(tokenize(line))){
+        if (!postings.has(t)) postings.set(t, new Map());
+        const byFile = postings.get(t);
+        if (!byFile.has(i)) byFile.set(i, []);
+        const ls = byFile.get(i);
+        if (ls.length < MAX_LINES_PER_POSTING) { ls.push(n + 1); referenced.add(n + 1); }
+      }
+    });
+    entry.lines = {};
+    let bytes = 0;
+    for (const n of [...referenced].sort((a, b) => a - b)){
+      const l = lines[n - 1].length > MAX_LINE_CHARS ? lines[n - 1].slice(0, MAX_LINE_CHARS) + "…" : lines[n - 1];
+      bytes += Buffer.byteLength(l);
+      if (bytes > MAX_SNIPPET_BYTES) break;
+      entry.lines[n] = l;
+    }
+    return entry;
+  });
+  const tokens = {};
+  for (const t of [...postings.keys()].sort()) tokens[t] = [...postings.get(t)];
+  return { files: outFiles, tokens };
+}
+
+// ---------------- ai-search.html ----------------
+export function renderSearchHtml(ctx, indexFile = "ai-search-index.json"){
+  return `<!doctype html><meta charset="utf-8">
+<title>Barkday • ai-search</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  input[type=search]{width:100%;font:16px system-ui;padding:8px 10px;border:1px solid #ccc;border-radius:8px;box-sizing:border-box}
+  .muted{color:#666}
+  .hit{border-bottom:1px solid #eee;padding:10px 0}
+  .hit .path{font-family:ui-monospace,Consolas,monospace;font-weight:600}
+  .hit .links a{margin-left:8px;font-size:12px}
+  pre{margin:4px 0 0;white-space:pre-wrap;word-break:break-word;font:12px ui-monospace,Consolas,monospace}
+  pre a{color:#888;text-decoration:none;display:inline-block;min-width:4em}
+  mark{background:#ffe58a}
+  #pick{display:none;margin-top:8px}
+</style>
+<h1>ai-search</h1>
+<p><small>Commit <code>${esc(ctx.commit.slice(0,7))}</code> • ${esc(ctx.updatedUtc)} • <span id="status">loading ${esc(indexFile)}…</span></small></p>
+<input id="q" type="search" placeholder="Search paths and contents (all words must match; the last word also matches as a prefix)" autofocus>
+<div id="pick">Opened from disk? Browsers block reading <code>${esc(indexFile)}</code> here — pick it instead: <input type="file" accept=".json"></div>
+<div id="results"></div>
+<script>
+const TOKEN = new RegExp(${JSON.stringify(TOKEN_SOURCE)}, "gu");
+const MIN_TOKEN = ${MIN_TOKEN}, MAX_TOKEN = ${MAX_TOKEN}, MAX_RESULTS = 50, MAX_SNIPPETS = 3;
+const $ = id => document.getElementById(id);
+const esc = ${esc};
+const tokenize = s => (s.toLowerCase().match(TOKEN) || []).filter(t => t.length >= MIN_TOKEN && t.length <= MAX_TOKEN);
+let IDX = null, VOCAB = [];
+
+function load(idx){
+  IDX = idx; VOCAB = Object.keys(idx.tokens);
+  $("status").textContent = idx.files.length + " files, " + VOCAB.length + " tokens";
+  $("pick").style.display = "none";
+  $("q").value = decodeURIComponent((location.hash.match(/q=([^&]*)/) || [])[1] || "");
+  run();
+}
+fetch(${JSON.stringify(indexFile)}).then(r => { if (!r.ok) throw new Error(r.status); return r.json(); }).then(load).catch(() => {
+  $("status").textContent = "index not loaded";
+  $("pick").style.display = "block";
+});
+$("pick").querySelector("input").addEventListener("change", e => {
+  const file = e.target.files[0];
+  if (file) file.text().then(t => load(JSON.parse(t)));
+});
+
+// file index -> Map(line -> Set(term index)) for files that contain every term
+function contentHits(terms){
+  let files = null;
+  terms.forEach((term, ti) => {
+    const last = ti === terms.length - 1;
+    const keys = last ? VOCAB.filter(k => k.startsWith(term)).slice(0, 200) : (IDX.tokens[term] ? [term] : []);
+    const found = new Map();
+    for (const k of keys) for (const [fi, lines] of IDX.tokens[k]){
+      if (files && !files.has(fi)) continue;
+      const prev = files ? files.get(fi) : new Map();
+      const m = found.get(fi) || prev;
+      for (const n of lines){ if (!m.has(n)) m.set(n, new Set()); m.get(n).add(ti); }
+      found.set(fi, m);
+    }
+    files = found;
+  });
+  return files || new Map();
+}
+
+function highlight(line, terms){
+  if (!terms.length) return esc(line);
+  const rx = new RegExp("(" + terms.map(t => t.replace(/[.*+?^$()|[\\]\\\\{}]/g, "\\\\$&")).join("|") + ")", "giu");
+  return line.split(rx).map((part, i) => i % 2 ? "<mark>" + esc(part) + "</mark>" : esc(part)).join("");
+}
+
+function run(){
+  if (!IDX) return;
+  const q = $("q").value.trim();
+  history.replaceState(null, "", q ? "#q=" + encodeURIComponent(q) : location.pathname);
+  if (!q) { $("results").innerHTML = ""; return; }
+  const terms = tokenize(q);
+  const needle = q.toLowerCase();
+  const scored = new Map(); // file index -> { score, lines }
+  IDX.files.forEach((f, fi) => {
+    if (f.path.toLowerCase().includes(needle)) scored.set(fi, { score: 1000, lines: [] });
+  });
+  if (terms.length) {
+    for (const [fi, lines] of contentHits(terms)){
+      const ranked = [...lines].sort((a, b) => b[1].size - a[1].size || a[0] - b[0]);
+      const score = ranked.reduce((s, [, t]) => s + t.size, 0);
+      const prev = scored.get(fi);
+      scored.set(fi, { score: (prev ? prev.score : 0) + score, lines: ranked.slice(0, MAX_SNIPPETS).map(([n]) => n).sort((a, b) => a - b) });
+    }
+  }
+  const results = [...scored].sort((a, b) => b[1].score - a[1].score || IDX.files[a[0]].path.localeCompare(IDX.files[b[0]].path));
+  const html = results.slice(0, MAX_RESULTS).map(([fi, r]) => {
+    const f = IDX.files[fi];
+    const snippets = r.lines.map(n => '<a href="' + esc(f.html_url) + "#L" + n + '" target="_blank" rel="noopener">' + n + "</a>" + highlight((f.lines || {})[n] || "", terms)).join("\\n");
+    return '<div class="hit"><span class="path">' + highlight(f.path, [needle]) + "</span>"
+      + '<span class="links"><a href="' + esc(f.html_url) + '" target="_blank" rel="noopener">view</a><a href="' + esc(f.raw_url) + '" target="_blank" rel="noopener">raw</a></span>'
+      + (f.indexed ? "" : ' <span class="muted">(path only)</span>')
+      + (snippets ? "<pre>" + snippets + "</pre>" : "") + "</div>";
+  }).join("");
+  $("results").innerHTML = '<p class="muted">' + results.length + " file(s)" + (results.length > MAX_RESULTS ? ", showing " + MAX_RESULTS : "") + "</p>" + html;
+}
+let timer;
+$("q").addEventListener("input", () => { clearTimeout(timer); timer = setTimeout(run, 120); });
+</script>`;
+}
@@ -0,0 +1,86 @@
+// scripts/ai_secrets.mjs
+// Likely-secret detection for content that is about to be published in packs,
+// summaries and the search index. Matches are masked in place with "*" (same
+// length, newlines kept) so byte ranges, previews and line numbers still line
+// up with git; callers decide whether to mask or drop the whole item.
+
+// Each rule matches ASCII only, so scanning a latin1 decode of a buffer gives
+// byte offsets. `group` selects the span to mask when only part is secret;
+// `quote` is the group holding the value's opening quote, if any.
+export const SECRET_RULES = [
+  { id: "private-key", rx: /-----BEGIN[A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END[A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----|$)/g },
+  { id: "aws-access-key-id", rx: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: "github-token", rx: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { id: "slack-token", rx: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { id: "google-api-key", rx: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: "stripe-key", rx: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+  { id: "api-key-sk", rx: /\bsk-(?:[A-Za-z0-9]+-)*[A-Za-z0-9_-]{20,}\b/g },
+  { id: "jwt", rx: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { id: "env-assignment", group: 3, quote: 2,
+    rx: /^[ \t]*(?:export[ \t]+)?["']?([A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|private[_-]?key|access[_-]?key|client[_-]?secret)[A-Za-z0-9_.-]*)["']?[ \t]*[=:][ \t]*(["']?)([^\s"'#,;()[\]{}<>]{8,})(?![^\s"'#,;])/gimd },
+];
+// values of .env-style assignments that are references or placeholders, not
+// secrets; the value must end at a delimiter, so code like `key: obj.call(` is
+// skipped. Quoted values are literals: only these placeholders are skipped.
+const PLACEHOLDER = /^(?:\$|\{|<|%|\*|x{4,}|changeme|example|dummy|your[-_]|process\.env|secrets\.|env\.)/i;
+// Unquoted values may also be code: keywords, and digit-free identifiers or
+// property paths followed by ; ) or , (`token: s.access_token,`)
+const KEYWORD = /^(?:true|false|null|none|undefined)$/i;
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z_$.]*$/;
+function placeholder(value, quoted, next = ""){
+  if (PLACEHOLDER.test(value)) return true;
+  if (quoted) return false;
+  return KEYWORD.test(value) || (IDENTIFIER.test(value) && /^[;),]/.test(next));
+}
+
+// Long base64/base62-looking runs with upper, lower and digits and high Shannon
+// entropy; hex digests, SRI hashes and data: URIs are left alone.
+const ENTROPY_RX = /[A-Za-z0-9+/_-]{32,}={0,2}/g;
+const ENTROPY_MIN_BITS = 4.2;
+function entropy(s){
+  const counts = new Map();
+  for (const c of s) counts.set(c, (counts.get(c) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) { const p = n / s.length; bits -= p * Math.log2(p); }
+  return bits;
+}
+
+// -> [{ rule, start, end }] sorted by start, overlaps merged into the earlier match
+export function findSecrets(text, { entropy: useEntropy = true } = {}){
+  const found = [];
+  for (const { id, rx, group, quote } of SECRET_RULES){
+    for (const m of text.matchAll(rx)){
+      if (group) {
+        const [start, end] = m.indices[group];
+        if (placeholder(m[group], quote && m[quote], text[end])) continue;
+        found.push({ rule: id, start, end });
+      } else found.push({ rule: id, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  if (useEntropy) {
+    for (const m of text.matchAll(ENTROPY_RX)){
+      const s = m[0];
+      if (!/[a-z]/.test(s) || !/[A-Z]/.test(s) || !/[0-9]/.test(s)) continue;
+      const before = text.slice(Math.max(0, m.index - 8), m.index);
+      if (/(?:base64,|sha(?:256|384|512)-)$/i.test(before)) continue;
+      if (entropy(s) >= ENTROPY_MIN_BITS) found.push({ rule: "high-entropy-string", start: m.index, end: m.index + s.length });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const f of found){
+    const last = merged[merged.length - 1];
+    if (last && f.start < last.end) last.end = Math.max(last.end, f.end);
+    else merged.push({ ...f });
+  }
+  return merged;
+}
+
+export function maskSpans(text, spans){
+  let out = "", pos = 0;
+  for (const { start, end } of spans){
+    out += text.slice(pos, start) + text.slice(start, end).replace(/[^\r\n]/g, "*");
+    pos = end;
+  }
+  return out + text.slice(pos);
+}
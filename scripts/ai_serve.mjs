@@ -0,0 +1,241 @@
+// scripts/ai_serve.mjs
+// Pieces of the local preview server (serveDocs in ai_index.mjs): rewriting
+// the commit-pinned GitHub URLs in built outputs to local routes, collecting
+// the content packs inline per file, and the file viewer with a small regex
+// based syntax highlighter (no dependencies, good enough to read code by).
+//
+//   /            status of the last build and every file
+//   /docs/<f>    the built outputs, links rewritten
+//   /view/<p>    a file as the packs carry it (masked, previewed or chunked)
+//   /raw/<p>     the file's bytes at the built commit
+
+import fs from "node:fs";
+import path from "node:path";
+import { fenceLang } from "./ai_bundle.mjs";
+import { fromReference } from "./ai_store.mjs";
+import { esc } from "./ai_html.mjs";
+
+// ctx: the build's resolved options (repo, commit, pagesUrl, outUrl)
+export function rewriteLinks(text, ctx){
+  const swaps = [
+    [`https://raw.githubusercontent.com/${ctx.repo}/${ctx.commit}/`, "/raw/"],
+    [`https://github.com/${ctx.repo}/blob/${ctx.commit}/`, "/view/"],
+    ctx.pagesUrl && [ctx.outUrl, "/docs/"]
+  ].filter(Boolean);
+  return swaps.reduce((t, [from, to]) => t.split(from).join(to), text);
+}
+
+// ---------------- syntax highlighting ----------------
+// [class, regex source without capturing groups]; earlier rules win
+const STRINGS = String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'`;
+const NUMBER = String.raw`\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`;
+const HASH_COMMENT = String.raw`(?:^|(?<=\s))#[^\n]*`;
+const RULES = {
+  javascript: [
+    ["c", String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`],
+    ["s", `${STRINGS}|\`(?:[^\`\\\\]|\\\\[\\s\\S])*\``],
+    ["k", String.raw`\b(?:import|export|from|default|const|let|var|function|return|if|else|for|while|do|of|in|new|class|extends|try|catch|finally|throw|async|await|yield|switch|case|break|continue|typeof|instanceof|this|null|undefined|true|false)\b`],
+    ["n", NUMBER]
+  ],
+  json: [
+    ["p", String.raw`"(?:[^"\\\n]|\\.)*"(?=\s*:)`],
+    ["s", String.raw`"(?:[^"\\\n]|\\.)*"`],
+    ["k", String.raw`\b(?:true|false|null)\b`],
+    ["n", String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+  ],
+  html: [
+    ["c", String.raw`<!--[\s\S]*?-->`],
+    ["t", String.raw`<\/?[A-Za-z][\w:-]*|\/?>`],
+    ["a", String.raw`\b[\w:-]+(?==["'])`],
+    ["s", String.raw`(?<==)(?:"[^"]*"|'[^']*')`]
+  ],
+  css: [
+    ["c", String.raw`\/\*[\s\S]*?\*\/`],
+    ["s", STRINGS],
+    ["k", String.raw`@[\w-]+|!important`],
+    ["p", String.raw`\b[\w-]+(?=\s*:[^:])`],
+    ["n", String.raw`#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?\b`]
+  ],
+  yaml: [
+    ["c", HASH_COMMENT],
+    ["p", String.raw`^[ \t-]*[\w.$-]+(?=:(?:\s|$))`],
+    ["s", STRINGS],
+    ["k", String.raw`\b(?:true|false|null|yes|no|on|off)\b`],
+    ["n", NUMBER]
+  ],
+  markdown: [
+    ["c", "^```[\\s\\S]*?^```[^\\n]*|^~~~[\\s\\S]*?^~~~[^\\n]*"],
+    ["h", String.raw`^#{1,6} [^\n]*`],
+    ["s", "`[^`\\n]+`"],
+    ["a", String.raw`!?\[[^\]\n]*\]\([^)\n]*\)`],
+    ["k", String.raw`\*\*[^*\n]+\*\*|^\s*(?:[-*+]|\d+\.) `]
+  ],
+  script: [
+    ["c", HASH_COMMENT],
+    ["s", STRINGS],
+    ["n", NUMBER]
+  ]
+};
+const RULES_FOR = {
+  javascript: "javascript", jsx: "javascript", typescript: "javascript", tsx: "javascript",
+  json: "json", html: "html", xml: "html", css: "css", yaml: "yaml", markdown: "markdown", mdx: "markdown",
+  bash: "script", python: "script", toml: "script"
+};
+const COMPILED = new Map();
+
+// text -> HTML with <span class="c|s|k|n|p|t|a|h"> around tokens; lang as in fenceLang
+export function highlight(text, lang){
+  const name = RULES_FOR[lang];
+  if (!name) return esc(text);
+  if (!COMPILED.has(name)) {
+    COMPILED.set(name, new RegExp(RULES[name].map(([, src]) => `(${src})`).join("|"), "gm"));
+  }
+  let out = "", at = 0;
+  for (const m of text.matchAll(COMPILED.get(name))){
+    if (!m[0]) continue;
+    const cls = RULES[name][m.slice(1).findIndex(g => g !== undefined)][0];
+    out += esc(text.slice(at, m.index)) + `<span class="${cls}">${esc(m[0])}</span>`;
+    at = m.index + m[0].length;
+  }
+  return out + esc(text.slice(at));
+}
+
+// ---------------- what the packs inline, per file ----------------
+// outDir: a build's output folder -> Map(path -> { state, text?, base64?,
+// pack, redacted_reason?, preview_text_bytes? }); state is the best one any
+// pack has: "full", "chunks" (every chunk present, joined) or "preview".
+export function inlinedFiles(outDir){
+  const names = fs.readdirSync(outDir).sort();
+  const bases = [...new Set(names
+    .filter(n => /^ai-pack-.*\.json$/.test(n) && !/^ai-pack-(all|catalog)\.|\.manifest\./.test(n))
+    .map(n => n.replace(/(\.min)?\.json$/, "")))];
+  const readBlob = hash => { try { return fs.readFileSync(path.join(outDir, "blobs", hash)); } catch { return null; } };
+  const rank = { full: 3, chunks: 2, preview: 1 };
+  const out = new Map(), chunks = new Map();
+  const offer = (p, entry) => { if (!out.has(p) || rank[entry.state] > rank[out.get(p).state]) out.set(p, entry); };
+
+  for (const base of bases){
+    const file = names.includes(`${base}.min.json`) ? `${base}.min.json` : `${base}.json`;
+    let pack;
+    try { pack = JSON.parse(fs.readFileSync(path.join(outDir, file), "utf8")); } catch { continue; }
+    for (const raw of pack.items || []){
+      const it = fromReference(raw, readBlob);
+      if (!it || typeof it.content !== "string") continue;
+      const common = { pack: base, ...(it.redacted_reason && { redacted_reason: it.redacted_reason }) };
+      if (it.chunk) {
+        const key = `${base}\0${it.path}`;
+        if (!chunks.has(key)) chunks.set(key, { path: it.path, encoding: it.encoding, common, parts: [] });
+        chunks.get(key).parts[it.chunk.index] = it.content;
+        chunks.get(key).count = it.chunk.count;
+      } else if (it.inline_state === "full" || it.inline_state === "preview") {
+        offer(it.path, {
+          state: it.inline_state, ...common,
+          ...(it.encoding === "base64" ? { base64: it.content } : { text: it.content }),
+          ...(it.inline_state === "preview" && { preview_text_bytes: it.preview_text_bytes })
+        });
+      }
+    }
+  }
+  for (const c of chunks.values()){
+    if (c.parts.filter(s => s !== undefined).length !== c.count) continue;
+    offer(c.path, c.encoding === "base64"
+      ? { state: "chunks", ...c.common, base64: Buffer.concat(c.parts.map(s => Buffer.from(s, "base64"))).toString("base64") }
+      : { state: "chunks", ...c.common, text: c.parts.join("") });
+  }
+  return out;
+}
+
+// ---------------- /view/<path> ----------------
+// file: its ai-index entry; inlined: inlinedFiles() entry or undefined
+export function renderViewerHtml(file, inlined, ctx){
+  const kb = n => n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KB`;
+  const raw = `/raw/${file.path.split("/").map(encodeURIComponent).join("/")}`;
+  const h = file.history;
+  const meta = [
+    `${kb(file.size)} • ${esc(file.media_type)} • blob <code>${esc(file.git_blob_sha.slice(0, 12))}</code>`,
+    file.estimated_tokens !== undefined && `~${file.estimated_tokens} tokens`,
+    h && `last changed ${esc(h.date.slice(0, 10))} in <code>${esc(h.commit.slice(0, 7))}</code> ${esc(h.subject)} • ${h.commits} commit(s)`
+  ].filter(Boolean).join(" • ");
+
+  let note, body;
+  if (!inlined) {
+    note = "Not inlined in any pack.";
+    body = file.media_type.startsWith("image/") ? `<img src="${raw}" alt="">` : "";
+  } else {
+    note = inlined.state === "preview" ? `Preview (first ${kb(inlined.preview_text_bytes)}) from ${esc(inlined.pack)}.`
+      : inlined.state === "chunks" ? `Full file, joined from its chunks in ${esc(inlined.pack)}.`
+      : `Full file from ${esc(inlined.pack)}.`;
+    if (inlined.redacted_reason) note += ` <b>${esc(inlined.redacted_reason)}</b>`;
+    if (inlined.base64 !== undefined) {
+      body = file.media_type.startsWith("image/")
+        ? `<img src="data:${esc(file.media_type)};base64,${inlined.base64}" alt="">`
+        : `<p class="muted">Binary, ${kb(Buffer.byteLength(inlined.base64, "base64"))} inlined as base64.</p>`;
+    } else {
+      const lines = inlined.text.split("\n");
+      if (lines.at(-1) === "") lines.pop();
+      const gutter = lines.map((_, i) => `<a id="L${i + 1}" href="#L${i + 1}">${i + 1}</a>`).join("\n");
+      body = `<div class="code"><pre class="ln">${gutter}</pre><pre><code>${highlight(inlined.text, fenceLang(file.path))}</code></pre></div>`;
+    }
+  }
+
+  return `<!doctype html><meta charset="utf-8">
+<title>${esc(file.path)} • ai-serve</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px}
+  code,pre{font-family:ui-monospace,Consolas,monospace;font-size:13px}
+  .muted{color:#666} b{color:#b42318}
+  .code{display:flex;border:1px solid #eee;overflow:auto}
+  .code pre{margin:0;padding:8px} .ln{text-align:right;color:#999;background:#fafafa;user-select:none}
+  .ln a{color:inherit;text-decoration:none} .ln a:target{color:#000;background:#fff8db}
+  .c{color:#6a737d} .s{color:#032f62} .k{color:#d73a49} .n{color:#005cc5} .p{color:#6f42c1}
+  .t{color:#22863a} .a{color:#6f42c1} .h{color:#005cc5;font-weight:600}
+  img{max-width:100%;border:1px solid #eee}
+</style>
+<p><a href="/">← all files</a></p>
+<h1><code>${esc(file.path)}</code></h1>
+<p class="muted">${meta} • <a href="${raw}">raw</a></p>
+<p>${note}</p>
+${body}`;
+}
+
+// ---------------- / ----------------
+// state: { commit, head, dirty, built_at, ms, error, files (ai-index entries), pages (html outputs) }
+export function renderServeIndexHtml(state){
+  const error = state.error
+    ? `<div class="error"><b>${esc(state.error.message)}</b>${state.error.details.length
+        ? `<ul>${state.error.details.slice(0, 50).map(d => `<li>${esc(d)}</li>`).join("")}</ul>` : ""}</div>` : "";
+  const pages = state.pages.map(n => `<li><a href="/docs/${encodeURIComponent(n)}">${esc(n)}</a></li>`).join("\n");
+  const rows = state.files.map(f =>
+    `<li data-path="${esc(f.path.toLowerCase())}"><a href="/view/${f.path.split("/").map(encodeURIComponent).join("/")}">${esc(f.path)}</a></li>`
+  ).join("\n");
+  return `<!doctype html><meta charset="utf-8">
+<title>ai-serve</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  code{font-family:ui-monospace,Consolas,monospace}
+  .muted{color:#666} .error{border:1px solid #fda29b;background:#fef3f2;padding:8px 12px;margin:12px 0}
+  ul.files{columns:2;list-style:none;padding:0} ul.files li{font-family:ui-monospace,Consolas,monospace;break-inside:avoid}
+  input{width:100%;font:15px system-ui;padding:6px 8px;box-sizing:border-box}
+</style>
+<h1>ai-serve</h1>
+<p class="muted">Built <code>${esc(state.commit.slice(0, 7))}</code>${state.dirty ? ` (HEAD <code>${esc(state.head.slice(0, 7))}</code> plus uncommitted changes)` : ""}
+ at ${esc(state.built_at)} in ${state.ms} ms. Tracked files are watched; reload after saving.</p>
+${error}
+<h2>Outputs</h2>
+<ul>
+${pages}
+</ul>
+<h2>Files (${state.files.length})</h2>
+<input id="q" type="search" placeholder="Filter by path">
+<ul class="files">
+${rows}
+</ul>
+<script>
+document.getElementById("q").addEventListener("input", e => {
+  const q = e.target.value.toLowerCase();
+  for (const li of document.querySelectorAll(".files li")) li.style.display = li.dataset.path.includes(q) ? "" : "none";
+});
+</script>`;
+}
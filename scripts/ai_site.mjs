@@ -0,0 +1,168 @@
+// scripts/ai_site.mjs
+// Site health checks for the files this Pages site hosts for the app: the web
+// app manifest (required members, icons present at their declared sizes,
+// start_url inside scope) and Digital Asset Links (.well-known/assetlinks.json:
+// relations, Android package names, SHA-256 certificate fingerprints).
+// Each check returns findings { level: "error" | "warning", check, message }.
+
+import { resolveRef } from "./ai_graph.mjs";
+import { esc } from "./ai_html.mjs";
+
+const DISPLAY = ["fullscreen", "standalone", "minimal-ui", "browser"];
+const SIZES = /^(?:any|\d+x\d+(?:\s+\d+x\d+)*)$/i;
+const ICON_TYPES = { png: "image/png", ico: "image/x-icon", svg: "image/svg+xml", webp: "image/webp", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif" };
+
+// Pixel sizes ("WxH") an image file provides; null when the format is not read here.
+export function imageSizes(buf){
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47 && buf.toString("latin1", 12, 16) === "IHDR") {
+    return [`${buf.readUInt32BE(16)}x${buf.readUInt32BE(20)}`];
+  }
+  if (buf.length >= 6 && buf.readUInt16LE(0) === 0 && buf.readUInt16LE(2) === 1) {       // ICO directory
+    const n = buf.readUInt16LE(4), out = [];
+    for (let i = 0; i < n && 6 + 16 * (i + 1) <= buf.length; i++){
+      const w = buf[6 + 16 * i] || 256, h = buf[7 + 16 * i] || 256;
+      out.push(`${w}x${h}`);
+    }
+    return out;
+  }
+  if (buf.length >= 10 && buf.toString("latin1", 0, 4) === "GIF8") return [`${buf.readUInt16LE(6)}x${buf.readUInt16LE(8)}`];
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {                           // JPEG: first SOFn segment
+    for (let i = 2; i + 9 < buf.length;){
+      if (buf[i] !== 0xff) { i++; continue; }
+      const marker = buf[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return [`${buf.readUInt16BE(i + 7)}x${buf.readUInt16BE(i + 5)}`];
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+// Repo paths of the icons a manifest declares that are in the tree (what
+// checkWebManifest reads), so they can be fetched together beforehand.
+export function manifestIcons(p, text, exists){
+  let m;
+  try { m = JSON.parse(text); } catch { return []; }
+  return (Array.isArray(m?.icons) ? m.icons : [])
+    .map(icon => typeof icon?.src === "string" && icon.src && resolveRef(p, icon.src, "manifest-icon", exists))
+    .filter(r => r && !r.missing).map(r => r.to);
+}
+
+// p: repo path of the manifest; exists(path) / read(path) -> Buffer|null look into the tree;
+// external (regexes): paths another site serves, so missing icons there are only warnings;
+// allowMissing (regexes): icons known to be missing, also only warnings
+export function checkWebManifest(p, text, { exists, read, external = [], allowMissing = [] }){
+  const findings = [];
+  const error = (check, message) => findings.push({ level: "error", check, message });
+  const warning = (check, message) => findings.push({ level: "warning", check, message });
+  let m;
+  try { m = JSON.parse(text); } catch (e) { error("json", `not valid JSON: ${e.message}`); return findings; }
+  if (!m || typeof m !== "object" || Array.isArray(m)) { error("json", "expected an object"); return findings; }
+
+  if (!m.name && !m.short_name) error("name", "name or short_name is required");
+  if (m.display !== undefined && !DISPLAY.includes(m.display)) error("display", `display "${m.display}" is not one of ${DISPLAY.join(", ")}`);
+  if (m.start_url === undefined) warning("start_url", "no start_url; browsers fall back to the page that linked the manifest");
+
+  // start_url must be same-origin and inside scope (default scope: the manifest's folder)
+  const base = new URL(`https://site.invalid/${p}`);
+  let start, scope;
+  try { start = new URL(m.start_url ?? ".", base); } catch { error("start_url", `start_url "${m.start_url}" is not a URL`); }
+  try { scope = new URL(m.scope ?? ".", base); } catch { error("scope", `scope "${m.scope}" is not a URL`); }
+  if (start && start.origin !== base.origin) error("start_url", `start_url "${m.start_url}" is on another origin`);
+  if (scope && scope.origin !== base.origin) error("scope", `scope "${m.scope}" is on another origin`);
+  else if (start && scope && !start.pathname.startsWith(scope.pathname)) {
+    error("start_url", `start_url "${m.start_url}" is outside scope "${scope.pathname}"`);
+  }
+
+  if (!Array.isArray(m.icons) || !m.icons.length) { error("icons", "icons must be a non-empty array"); return findings; }
+  const declared = [];
+  m.icons.forEach((icon, i) => {
+    const at = `icons[${i}]`;
+    if (typeof icon?.src !== "string" || !icon.src) { error("icons", `${at}: src is required`); return; }
+    const sizes = typeof icon.sizes === "string" ? icon.sizes.trim() : "";
+    if (icon.sizes !== undefined && !SIZES.test(sizes)) error("icons", `${at}: sizes "${icon.sizes}" is not "any" or WxH values`);
+    else declared.push(...sizes.toLowerCase().split(/\s+/).filter(Boolean));
+    const r = resolveRef(p, icon.src, "manifest-icon", exists);
+    if (!r) return; // absolute URL elsewhere: not checked
+    if (r.missing && external.some(rx => rx.test(r.to))) { warning("icons", `${at}: ${icon.src} is served by another site, not checked`); return; }
+    if (r.missing && allowMissing.some(rx => rx.test(r.to))) { warning("icons", `${at}: ${icon.src} is not in the repository (allowed missing)`); return; }
+    if (r.missing) { error("icons", `${at}: ${icon.src} is not in the repository`); return; }
+    const ext = r.to.split(".").pop().toLowerCase();
+    if (icon.type && ICON_TYPES[ext] && icon.type !== ICON_TYPES[ext]) warning("icons", `${at}: type ${icon.type} but ${r.to} looks like ${ICON_TYPES[ext]}`);
+    const buf = read(r.to);
+    const actual = buf && imageSizes(buf);
+    if (!actual || !SIZES.test(sizes) || sizes.toLowerCase() === "any") return;
+    const wrong = sizes.toLowerCase().split(/\s+/).filter(s => !actual.includes(s));
+    if (wrong.length) error("icons", `${at}: ${r.to} is ${actual.join(", ")}, declared ${wrong.join(", ")}`);
+  });
+  const largest = Math.max(0, ...declared.map(s => s === "any" ? Infinity : Number(s.split("x")[0])));
+  if (largest < 192) warning("icons", "no icon of at least 192x192 (needed to install the app)");
+  else if (largest < 512) warning("icons", "no icon of at least 512x512 (used for splash screens)");
+  return findings;
+}
+
+const RELATION = /^[a-z_]+\/[a-z0-9_.]+$/;
+const KNOWN_RELATIONS = ["delegate_permission/common.handle_all_urls", "delegate_permission/common.get_login_creds"];
+const PACKAGE_NAME = /^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z][A-Za-z0-9_]*)+$/;
+const FINGERPRINT = /^[0-9A-F]{2}(?::[0-9A-F]{2}){31}$/;
+
+export function checkAssetLinks(p, text){
+  const findings = [];
+  const error = (check, message) => findings.push({ level: "error", check, message });
+  const warning = (check, message) => findings.push({ level: "warning", check, message });
+  let statements;
+  try { statements = JSON.parse(text); } catch (e) { error("json", `not valid JSON: ${e.message}`); return findings; }
+  if (!Array.isArray(statements)) { error("json", "expected an array of statements"); return findings; }
+  if (!statements.length) warning("json", "no statements");
+
+  statements.forEach((st, i) => {
+    const at = `[${i}]`;
+    if (!st || typeof st !== "object" || Array.isArray(st)) { error("json", `${at}: expected an object`); return; }
+    if (!Array.isArray(st.relation) || !st.relation.length) error("relation", `${at}.relation must be a non-empty array`);
+    else for (const r of st.relation){
+      if (typeof r !== "string" || !RELATION.test(r)) error("relation", `${at}.relation: "${r}" is not a relation string`);
+      else if (!KNOWN_RELATIONS.includes(r)) warning("relation", `${at}.relation: "${r}" is not a relation Android or Chrome use`);
+    }
+    const t = st.target;
+    if (!t || typeof t !== "object") { error("target", `${at}.target is required`); return; }
+    if (t.namespace === "android_app") {
+      if (typeof t.package_name !== "string" || !PACKAGE_NAME.test(t.package_name)) {
+        error("package_name", `${at}.target.package_name "${t.package_name}" is not a Java package name`);
+      }
+      const fps = t.sha256_cert_fingerprints;
+      if (!Array.isArray(fps) || !fps.length) error("fingerprint", `${at}.target.sha256_cert_fingerprints must be a non-empty array`);
+      else {
+        fps.forEach((fp, j) => {
+          if (typeof fp !== "string" || !FINGERPRINT.test(fp)) {
+            error("fingerprint", `${at}.target.sha256_cert_fingerprints[${j}] is not 32 upper-case hex bytes separated by ":"`);
+          }
+        });
+        if (new Set(fps).size !== fps.length) warning("fingerprint", `${at}.target.sha256_cert_fingerprints has duplicates`);
+      }
+    } else if (t.namespace === "web") {
+      if (typeof t.site !== "string" || !/^https?:\/\/[^/]+$/.test(t.site)) error("target", `${at}.target.site must be an origin like https://example.com`);
+    } else error("target", `${at}.target.namespace must be "android_app" or "web"`);
+  });
+  return findings;
+}
+
+// ---------------- ai-site-health.html ----------------
+export function renderSiteHealthHtml(report, ctx){
+  const docs = report.documents.map(d => {
+    const rows = d.findings.map(f => `<li class="${f.level}"><b>${f.level}</b> <code>${esc(f.check)}</code> ${esc(f.message)}</li>`).join("\n");
+    return `<h2><code>${esc(d.path)}</code> <small class="muted">${esc(d.kind)}</small></h2>\n` +
+      (rows ? `<ul>\n${rows}\n</ul>` : `<p class="ok">No problems found.</p>`);
+  }).join("\n") || `<p class="muted">No manifest or assetlinks files in this repository.</p>`;
+  const s = report.summary;
+  return `<!doctype html><meta charset="utf-8">
+<title>Barkday • ai-site-health</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body{font:14px system-ui;margin:24px;max-width:1100px}
+  code{font-family:ui-monospace,Consolas,monospace}
+  .muted{color:#666} .ok{color:#067647}
+  li{margin:4px 0} .error b{color:#b42318} .warning b{color:#b54708}
+</style>
+<h1>ai-site-health</h1>
+<p><small>Commit <code>${esc(ctx.commit.slice(0,7))}</code> • ${esc(ctx.updatedUtc)} • ${s.documents} file(s) checked, ${s.errors} error(s), ${s.warnings} warning(s)</small></p>
+${docs}`;
+}
@@ -0,0 +1,40 @@
+// scripts/ai_store.mjs
+// Keeping docs/ small: gzip and brotli copies written next to the outputs
+// (<file>.gz, <file>.br), and a content-addressed blob store
+// (<out>/blobs/<sha256 of the bytes>) that packs with storage "reference"
+// point at instead of embedding content. A file that several packs (and the
+// combined pack) include is then stored once.
+
+import zlib from "node:zlib";
+
+// config name -> file extension and codec; both are byte-stable for equal input
+export const COMPRESSIONS = {
+  gzip: { ext: "gz", compress: buf => zlib.gzipSync(buf, { level: 9 }), decompress: buf => zlib.gunzipSync(buf) },
+  br: {
+    ext: "br",
+    compress: buf => zlib.brotliCompressSync(buf, { params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length
+    } }),
+    decompress: buf => zlib.brotliDecompressSync(buf)
+  }
+};
+
+// Pack item -> the same item with content moved to a blob. put(bytes) stores
+// the decoded content and returns { sha256, bytes, url }. Items without
+// content (metadata only) are returned as they are.
+export function toReference(item, put){
+  if (typeof item.content !== "string") return item;
+  const { content, inline_bytes: _bytes, ...rest } = item;
+  return { ...rest, blob: put(Buffer.from(content, item.encoding === "base64" ? "base64" : "utf8")) };
+}
+
+// The inverse: read(sha256) -> Buffer | null. null when the blob is missing.
+export function fromReference(item, read){
+  if (!item.blob) return item;
+  const buf = read(item.blob.sha256);
+  if (!buf) return null;
+  const { blob: _blob, ...rest } = item;
+  const content = buf.toString(item.encoding === "base64" ? "base64" : "utf8");
+  return { ...rest, content, inline_bytes: content.length };
+}
@@ -0,0 +1,345 @@
+// scripts/ai_summary.mjs
+// Structural summaries attached to ai-index files and pack items: an inferred
+// schema for JSON/YAML (types, optional fields, array lengths, enum-like
+// strings) and a heading outline plus front matter for Markdown. YAML is read
+// with a small block/flow subset parser (no npm dependencies).
+
+export const SUMMARY_MAX_BYTES = 8 * 1024 * 1024;
+const MAX_DEPTH = 12;         // deeper values are summarized as their type only
+const MAX_PROPERTIES = 100;   // per object, in first-seen order
+const MAX_ARRAY_SAMPLES = 5000;
+const ENUM_MAX = 8;           // distinct short strings that repeat -> enum
+const ENUM_VALUE_CHARS = 64;
+const MAX_HEADINGS = 500;
+const FRONT_MATTER_DATA_BYTES = 2048;
+
+export function summaryKind(p){
+  const ext = (p.split(".").pop() || "").toLowerCase();
+  return ext === "json" ? "json" : ext === "yml" || ext === "yaml" ? "yaml"
+    : ext === "md" || ext === "mdx" ? "markdown" : null;
+}
+
+// undefined for paths without a summarizer; parse failures are reported in `error`.
+// Files over SUMMARY_MAX_BYTES are not read at all (pass buf = null and their size).
+export function summarize(p, buf, size = buf.length){
+  const kind = summaryKind(p);
+  if (!kind) return undefined;
+  if (size > SUMMARY_MAX_BYTES) return { kind, error: `not summarized: larger than ${SUMMARY_MAX_BYTES} bytes` };
+  const text = buf.toString("utf8").replace(/^\uFEFF/, "");
+  try {
+    if (kind === "json") return { kind, schema: inferSchema(JSON.parse(text)) };
+    if (kind === "yaml") return { kind, schema: inferSchema(parseYaml(text)) };
+    return markdownOutline(text);
+  } catch (e) {
+    return { kind, error: e.message.split("\n")[0] };
+  }
+}
+
+// ---------------- inferred schema ----------------
+// Values are first folded into per-type statistics, then rendered in a
+// JSON-Schema-like shape: { type, properties, required, items, min_items,
+// max_items, enum } with `type: [..]` for scalar unions and `any_of` otherwise.
+const typeOf = v => v === null ? "null" : Array.isArray(v) ? "array"
+  : typeof v === "number" ? (Number.isInteger(v) ? "integer" : "number") : typeof v;
+
+function observe(node, v, depth){
+  const t = typeOf(v);
+  const s = node.types.get(t) || { count: 0 };
+  node.types.set(t, s);
+  node.count++; s.count++;
+  if (depth >= MAX_DEPTH && (t === "object" || t === "array")) { s.truncated = true; return; }
+  if (t === "object") {
+    s.props ??= new Map();
+    for (const [k, x] of Object.entries(v)){
+      if (!s.props.has(k)) {
+        if (s.props.size >= MAX_PROPERTIES) { s.truncated = true; continue; }
+        s.props.set(k, { count: 0, types: new Map() });
+      }
+      observe(s.props.get(k), x, depth + 1);
+    }
+  } else if (t === "array") {
+    s.min = Math.min(s.min ?? Infinity, v.length);
+    s.max = Math.max(s.max ?? 0, v.length);
+    s.items ??= { count: 0, types: new Map() };
+    for (const x of v.slice(0, MAX_ARRAY_SAMPLES)) observe(s.items, x, depth + 1);
+  } else if (t === "string") {
+    s.values ??= new Map();
+    if (v.length <= ENUM_VALUE_CHARS && s.values.size <= ENUM_MAX) s.values.set(v, (s.values.get(v) || 0) + 1);
+    else s.values.set(null, 0); // poisoned: too long or too many distinct values
+  }
+}
+
+function render(node){
+  const types = [...node.types.keys()];
+  if (types.includes("integer") && types.includes("number")) types.splice(types.indexOf("integer"), 1);
+  const one = t => {
+    const s = node.types.get(t) || node.types.get("integer");
+    const out = { type: t };
+    if (t === "object") {
+      const props = [...(s.props || new Map())];
+      out.properties = Object.fromEntries(props.map(([k, child]) => [k, render(child)]));
+      out.required = props.filter(([, child]) => child.count === s.count).map(([k]) => k);
+    } else if (t === "array") {
+      out.min_items = s.min; out.max_items = s.max;
+      if (s.items?.count) out.items = render(s.items);
+    } else if (t === "string" && isEnumLike(s)) {
+      out.enum = [...s.values.keys()];
+    }
+    if (s.truncated) out.truncated = true;
+    return out;
+  };
+  if (types.length === 1) return one(types[0]);
+  if (types.every(t => t !== "object" && t !== "array")) {
+    const out = { type: types };
+    const s = node.types.get("string");
+    if (s && isEnumLike(s)) out.enum = [...s.values.keys()];
+    return out;
+  }
+  return { any_of: types.map(one) };
+}
+const isEnumLike = s => s.values && !s.values.has(null) && s.values.size > 0 && s.count > s.values.size;
+
+export function inferSchema(value){
+  const root = { count: 0, types: new Map() };
+  observe(root, value, 0);
+  return render(root);
+}
+
+// ---------------- YAML (subset) ----------------
+// Block mappings and sequences, plain/quoted scalars, | and > block scalars,
+// flow [..] / {..} collections and comments. Only the first document is read;
+// anchors and tags are dropped and aliases are kept as strings.
+export function parseYaml(text){
+  const raw = text.split(/\r?\n/);
+  const lines = [];
+  for (let i = 0; i < raw.length; i++){
+    const t = raw[i];
+    if (/^(---|\.\.\.)(\s|$)/.test(t)) {
+      if (lines.length) break;
+      const rest = t.slice(3).trim();
+      if (rest && !rest.startsWith("#")) lines.push({ n: i, indent: 4, text: rest });
+      continue;
+    }
+    const content = stripComment(t);
+    if (!content.trim()) continue;
+    if (/^\s*\t/.test(content)) throw new Error(`line ${i + 1}: tab indentation`);
+    lines.push({ n: i, indent: content.length - content.trimStart().length, text: content.trim() });
+  }
+  if (!lines.length) return null;
+  let pos = 0;
+
+  function block(indent){
+    const l = lines[pos];
+    if (/^-(\s|$)/.test(l.text)) return sequence(l.indent);
+    if (keyOf(l.text)) return mapping(l.indent);
+    pos++;
+    let s = l.text;
+    while (pos < lines.length && lines[pos].indent > indent) s += " " + lines[pos++].text;
+    return scalar(s, l.n);
+  }
+
+  function sequence(indent){
+    const out = [];
+    while (pos < lines.length && lines[pos].indent === indent && /^-(\s|$)/.test(lines[pos].text)){
+      const l = lines[pos];
+      const rest = l.text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        out.push(pos < lines.length && lines[pos].indent > indent ? block(indent) : null);
+      } else {
+        // "- key: v" / "- - x": re-read the rest as a block at its own column
+        lines[pos] = { n: l.n, indent: indent + (l.text.length - rest.length), text: rest };
+        out.push(nested(rest) ? block(indent) : value(rest, l, indent));
+      }
+    }
+    return out;
+  }
+
+  function mapping(indent){
+    const out = {};
+    while (pos < lines.length && lines[pos].indent === indent){
+      const l = lines[pos];
+      const k = keyOf(l.text);
+      if (!k) throw new Error(`line ${l.n + 1}: expected "key: value"`);
+      const rest = l.text.slice(k.length).trim();
+      out[key(k.replace(/:$/, "").trim(), l.n)] = rest
+        ? value(rest, l, indent)
+        : (pos++, pos < lines.length && (lines[pos].indent > indent || (lines[pos].indent === indent && /^-(\s|$)/.test(lines[pos].text)))
+            ? block(indent) : null);
+    }
+    if (pos < lines.length && lines[pos].indent > indent) throw new Error(`line ${lines[pos].n + 1}: unexpected indentation`);
+    return out;
+  }
+
+  // inline value after "key:" or "- " (the line at `pos` is consumed here)
+  function value(rest, l, indent){
+    pos++;
+    rest = rest.replace(/^(?:![^\s]*|&[^\s]+)\s*/g, "");
+    const bs = rest.match(/^([|>])[+-]?\d*$/);
+    if (bs) {
+      // raw lines up to the last deeper-indented one (keeps blank and "#" lines)
+      const first = pos;
+      while (pos < lines.length && lines[pos].indent > indent) pos++;
+      const body = pos > first ? raw.slice(l.n + 1, lines[pos - 1].n + 1) : [];
+      const pad = Math.min(...body.filter(s => s.trim()).map(s => s.length - s.trimStart().length));
+      const textLines = body.map(s => s.slice(Number.isFinite(pad) ? pad : 0)).join("\n").replace(/\s+$/, "");
+      return bs[1] === "|" ? textLines + "\n" : textLines.replace(/\n(?!\n)/g, " ") + "\n";
+    }
+    while (pos < lines.length && lines[pos].indent > indent && !/^[[{]/.test(rest)) rest += " " + lines[pos++].text;
+    if (/^[[{]/.test(rest)) {
+      while (pos < lines.length && lines[pos].indent > indent && !balanced(rest)) rest += " " + lines[pos++].text;
+    }
+    return scalar(rest, l.n);
+  }
+
+  const nested = rest => /^-(\s|$)/.test(rest) || !!keyOf(rest);
+  const key = (k, n) => { const v = scalar(k, n); return typeof v === "string" ? v : JSON.stringify(v); };
+  return block(-1);
+}
+
+function keyOf(t){
+  const m = t.match(/^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?=\s|$)/);
+  return m ? m[0] : null;
+}
+
+function stripComment(line){
+  let q = null;
+  for (let i = 0; i < line.length; i++){
+    const c = line[i];
+    if (q) { if (c === q && (q === "'" || line[i - 1] !== "\\")) q = null; continue; }
+    if ((c === '"' || c === "'") && (i === 0 || /[\s:[{,-]/.test(line[i - 1]))) q = c;
+    else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i).trimEnd();
+  }
+  return line;
+}
+
+function balanced(s){
+  let depth = 0, q = null;
+  for (const c of s){
+    if (q) { if (c === q) q = null; continue; }
+    if (c === '"' || c === "'") q = c;
+    else if (c === "[" || c === "{") depth++;
+    else if (c === "]" || c === "}") depth--;
+  }
+  return depth <= 0;
+}
+
+function scalar(s, n){
+  s = s.trim().replace(/^(?:![^\s]*|&[^\s]+)\s*/g, "");
+  if (s[0] === "[" || s[0] === "{") return flow(s, n);
+  if (s[0] === '"') {
+    try { return JSON.parse(s); } catch { throw new Error(`line ${n + 1}: bad double-quoted string`); }
+  }
+  if (s[0] === "'") {
+    if (!/^'(?:[^']|'')*'$/.test(s)) throw new Error(`line ${n + 1}: bad single-quoted string`);
+    return s.slice(1, -1).replace(/''/g, "'");
+  }
+  if (s === "" || s === "~" || /^null$/i.test(s)) return null;
+  if (/^(true|false)$/i.test(s)) return s.toLowerCase() === "true";
+  if (/^[-+]?(0|[1-9][0-9_]*)$/.test(s)) return Number(s.replace(/_/g, ""));
+  if (/^0x[0-9a-f]+$/i.test(s)) return parseInt(s, 16);
+  if (/^[-+]?(\d[\d_]*)?\.\d+([eE][-+]?\d+)?$|^[-+]?\d[\d_]*(\.\d*)?[eE][-+]?\d+$/.test(s)) return Number(s.replace(/_/g, ""));
+  if (/^[-+]?\.inf$/i.test(s)) return s.startsWith("-") ? -Infinity : Infinity;
+  return s;
+}
+
+function flow(s, n){
+  let i = 0;
+  const fail = () => { throw new Error(`line ${n + 1}: bad flow collection`); };
+  const ws = () => { while (/\s/.test(s[i] || "")) i++; };
+  function item(stop){
+    ws();
+    if (s[i] === "[" || s[i] === "{") return coll();
+    const start = i;
+    let q = null;
+    for (; i < s.length; i++){
+      const c = s[i];
+      if (q) { if (c === q) q = null; continue; }
+      if (c === '"' || c === "'") q = c;
+      else if (stop.includes(c)) break;
+    }
+    return s.slice(start, i).trim();
+  }
+  function coll(){
+    const open = s[i++];
+    const close = open === "[" ? "]" : "}";
+    const out = open === "[" ? [] : {};
+    ws();
+    if (s[i] === close) { i++; return out; }
+    for (;;){
+      if (open === "[") {
+        const v = item(",]");
+        out.push(typeof v === "string" ? scalar(v, n) : v);
+      } else {
+        const k = item(":,}");
+        if (typeof k !== "string") fail();
+        let v = null;
+        if (s[i] === ":") { i++; v = item(",}"); }
+        out[String(scalar(k, n))] = typeof v === "string" ? scalar(v, n) : v;
+      }
+      ws();
+      if (s[i] === ",") { i++; ws(); if (s[i] === close) { i++; return out; } continue; }
+      if (s[i] === close) { i++; return out; }
+      fail();
+    }
+  }
+  const v = coll();
+  ws();
+  if (i < s.length) fail();
+  return v;
+}
+
+// ---------------- Markdown outline ----------------
+// ATX and setext headings outside fenced code, nested by level, with 1-based
+// line numbers; YAML front matter is returned as data when small, else as a schema.
+export function markdownOutline(text){
+  const lines = text.split(/\r?\n/);
+  const out = { kind: "markdown", lines: lines.length };
+  let start = 0;
+  if (lines[0] === "---") {
+    const end = lines.findIndex((l, i) => i > 0 && (l === "---" || l === "..."));
+    if (end > 0) {
+      const fm = { start_line: 1, end_line: end + 1 };
+      try {
+        const data = parseYaml(lines.slice(1, end).join("\n"));
+        if (Buffer.byteLength(JSON.stringify(data)) <= FRONT_MATTER_DATA_BYTES) fm.data = data;
+        else fm.schema = inferSchema(data);
+      } catch (e) { fm.error = e.message; }
+      out.front_matter = fm;
+      start = end + 1;
+    }
+  }
+
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  let count = 0, fence = null, para = false;
+  const add = (level, text, line) => {
+    count++;
+    if (count > MAX_HEADINGS) { out.truncated = true; return; }
+    while (stack[stack.length - 1].level >= level) stack.pop();
+    const h = { level, text, line, children: [] };
+    stack[stack.length - 1].children.push(h);
+    stack.push(h);
+  };
+  for (let i = start; i < lines.length; i++){
+    const l = lines[i];
+    const f = l.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      if (f && f[1][0] === fence[0] && f[1].length >= fence.length && !l.slice(l.indexOf(f[1]) + f[1].length).trim()) fence = null;
+      continue;
+    }
+    if (f) { fence = f[1]; para = false; continue; }
+    const atx = l.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+    if (atx) { add(atx[1].length, (atx[2] || "").trim(), i + 1); para = false; continue; }
+    const setext = para && l.match(/^ {0,3}(=+|-+)[ \t]*$/);
+    if (setext) {
+      // the heading text is the paragraph line just above
+      add(setext[1][0] === "=" ? 1 : 2, lines[i - 1].trim(), i);
+      para = false; continue;
+    }
+    para = !!l.trim() && !/^ {0,3}([-*+]|\d+[.)])\s|^ {0,3}>|^ {4}/.test(l);
+  }
+  out.headings = Math.min(count, MAX_HEADINGS);
+  out.outline = root.children;
+  return out;
+}
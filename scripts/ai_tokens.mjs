@@ -0,0 +1,36 @@
+// scripts/ai_tokens.mjs
+// Approximate token counts for sizing packs to LLM context windows, without
+// a vocabulary or network access. Text is split the way BPE tokenizers
+// pre-split it (letter runs, digit runs, punctuation, whitespace) and each
+// piece is charged what such tokenizers typically spend on it. Estimates err
+// on the high side so a budget is rarely overrun.
+
+const PIECE = /[A-Za-z]+|\p{N}+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|\p{L}+|\r?\n|[ \t]+|\s|[^\s\p{L}\p{N}]+/gu;
+const CJK = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]$/u;
+const SAMPLE_CHARS = 1 << 20;          // longer text is estimated from its first 1M chars
+export const BASE64_CHARS_PER_TOKEN = 2.5;
+
+function countPieces(text){
+  let n = 0;
+  for (const [p] of text.matchAll(PIECE)){
+    const c = p.charCodeAt(0);
+    if (c < 128 && /[A-Za-z]/.test(p[0])) n += Math.ceil(p.length / 5);   // words, identifier parts
+    else if (c === 32 || c === 9) n += p.length === 1 ? 0 : Math.ceil(p.length / 4); // one space joins the next word
+    else if (c === 10 || c === 13) n += 1;
+    else if (/^\p{N}/u.test(p)) n += Math.ceil(p.length / 3);
+    else if (CJK.test(p)) n += 1;
+    else if (/^\p{L}/u.test(p)) n += Math.ceil(p.length / 2);             // accented / non-Latin words
+    else n += Math.ceil(p.length / 2);                                     // punctuation runs like "();"
+  }
+  return n;
+}
+
+// content as inlined in a pack: utf8 text or base64
+export function estimateTokens(content, encoding = "utf8"){
+  if (encoding === "base64") return Math.ceil(content.length / BASE64_CHARS_PER_TOKEN);
+  if (content.length <= SAMPLE_CHARS) return countPieces(content);
+  return Math.ceil(countPieces(content.slice(0, SAMPLE_CHARS)) * content.length / SAMPLE_CHARS);
+}
+
+// a binary file of `size` bytes once base64-encoded
+export const estimateBinaryTokens = size => Math.ceil(4 * Math.ceil(size / 3) / BASE64_CHARS_PER_TOKEN);